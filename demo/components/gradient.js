@@ -1,4 +1,4 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useRef } from "react";
 import { WaveGradient } from "wave-gradient";
 
 /**
@@ -10,19 +10,38 @@ export default function WaveGradientsReact(props) {
   // Used to hold a reference to the canvas HTML element
   const canvasElement = useRef();
 
+  // Used to hold a reference to the wave gradient instance
+  const gradient = useRef();
+
   // Destructure the props
   const { options, ...rest } = props;
 
+  // Options the gradient is created with, later changes are applied to
+  // the running instance instead of recreating it
+  const initialOptions = useRef(options);
+
   /**
-   * Initializes the wave gradients object.
+   * Initializes the wave gradients object. Options changes are applied
+   * to the running instance by the effect below.
    */
   useEffect(() => {
-    const gradient = new WaveGradient(canvasElement.current, options);
+    gradient.current = new WaveGradient(
+      canvasElement.current,
+      initialOptions.current
+    );
 
     return () => {
-      gradient.destroy();
+      gradient.current.destroy();
+      gradient.current = undefined;
     };
-  }, [canvasElement, options]);
+  }, [canvasElement]);
+
+  /**
+   * Updates the running gradient when the options change.
+   */
+  useEffect(() => {
+    gradient.current?.setOptions(options);
+  }, [options]);
 
   return (
     <canvas
@@ -1,17 +1,19 @@
 import dynamic from "next/dynamic";
 import { getPlaiceholder } from "plaiceholder";
-import { useEffect, useState } from "react";
+import { useMemo, useState } from "react";
 import Layout from "../components/layout";
+import gradientOptions from "../gradient.json";
 import { usePalette } from "../lib/huemint";
 
 const WaveGradient = dynamic(() => import("../components/gradient"));
 
 /**
- * Prepares the CSS for the placeholder
+ * Prepares the CSS for the placeholder. The placeholder image is
+ * generated from `gradient.json` by the `placeholder` script.
  * @returns {object}
  */
 export const getStaticProps = async () => {
-  const { css } = await getPlaiceholder("/gradient-placeholder.webp", {
+  const { css } = await getPlaiceholder("/gradient-placeholder.png", {
     size: 8,
   });
   return { props: { css } };
@@ -24,19 +26,13 @@ export const getStaticProps = async () => {
 export default function DemoPage({ css }) {
   const palette = usePalette();
 
-  const [reducedMotion, setReducedMotion] = useState();
-  const [colors, setColors] = useState([
-    "#eaab36",
-    "#f2d768",
-    "#49b3fc",
-    "#a1d093",
-  ]);
+  const [colors, setColors] = useState(gradientOptions.colors);
 
-  // Respect `prefers-reduced-motion`
-  useEffect(() => {
-    const { matches } = window.matchMedia("(prefers-reduced-motion: reduce)");
-    setReducedMotion(matches);
-  }, []);
+  // Memoized so the gradient is only updated when the colors change
+  const options = useMemo(
+    () => ({ ...gradientOptions, colors, wireframe: false }),
+    [colors]
+  );
 
   return (
     <Layout>
@@ -49,12 +45,8 @@ export default function DemoPage({ css }) {
           />
         </div>
 
-        {reducedMotion === false && (
-          <WaveGradient
-            className="animate-fade-in"
-            options={{ colors, seed: 2411.5, time: 8000, wireframe: false }}
-          />
-        )}
+        {/* Renders a static frame if the user prefers reduced motion */}
+        <WaveGradient className="animate-fade-in" options={options} />
       </div>
     </Layout>
   );
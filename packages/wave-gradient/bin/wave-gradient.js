@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+// ---------------------------------------------------------------------
+//
+// Command-line tool that renders static images of a gradient with the
+// software renderer. Meant for build pipelines, to generate images and
+// placeholders that match what the WebGL gradient draws later.
+//
+// ---------------------------------------------------------------------
+
+import { readFileSync, writeFileSync } from "fs";
+import { basename, extname, join, dirname } from "path";
+import { deflateSync } from "zlib";
+import { renderGradient } from "../dist/wave-gradient.js";
+
+const USAGE = `Usage: wave-gradient [options]
+
+Renders a gradient to PNG or WebP images. The format is picked from the
+output file extension. WebP requires the optional \`sharp\` package,
+install it with \`npm install sharp\`.
+
+Options:
+  -c, --config <file>         JSON file with the gradient options
+  -o, --output <file>         Output file. Default: gradient.png, or
+                              none if only a placeholder is requested
+  -s, --size <WxH>            Image size, can be repeated. The size is
+                              appended to the file name if more than
+                              one is given. Default: 1920x1080
+  -p, --placeholder <file>    Write a tiny blurred placeholder of the
+                              first size and print its base64 data URL
+      --placeholder-width <n> Placeholder width. Default: 16
+      --colors <list>         Comma separated gradient colors
+      --amplitude <n>         Gradient waves amplitude
+      --blend-space <space>   srgb, linear or oklab
+      --density <x,y>         Level of detail of the plane geometry
+      --seed <n>              Seed for the noise function
+      --time <n>              Animation time of the frame in ms
+  -h, --help                  Show this help
+`;
+
+// ---------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------
+
+/**
+ * RGBA pixels, as returned by `renderGradient()`.
+ *
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   data: Uint8ClampedArray,
+ * }} RGBAImage
+ */
+
+/**
+ * Parses a number argument.
+ *
+ * @param {string} name - flag name
+ * @param {string} value - flag value
+ * @returns {number} parsed number
+ */
+function parseNumber(name, value) {
+  const number = Number(value);
+  if (value === undefined || value === "" || !Number.isFinite(number)) {
+    throw new TypeError(`invalid number "${value}" for ${name}`);
+  }
+  return number;
+}
+
+/**
+ * Parses a `WxH` size argument.
+ *
+ * @param {string} value - size
+ * @returns {[number, number]} width and height
+ */
+function parseSize(value) {
+  const match = /^(\d+)x(\d+)$/.exec(value ?? "");
+  if (!match || +match[1] === 0 || +match[2] === 0) {
+    throw new TypeError(`invalid size "${value}", expected WxH`);
+  }
+  return [+match[1], +match[2]];
+}
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} args - command line arguments
+ * @returns {object} parsed arguments
+ */
+function parseArgs(args) {
+  const parsed = {
+    config: undefined,
+    output: undefined,
+    sizes: [],
+    placeholder: undefined,
+    placeholderWidth: 16,
+    help: false,
+    options: {},
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new TypeError(`missing ${flag} value`);
+      return args[++i];
+    };
+
+    switch (flag) {
+      case "-c":
+      case "--config":
+        parsed.config = value();
+        break;
+      case "-o":
+      case "--output":
+        parsed.output = value();
+        break;
+      case "-s":
+      case "--size":
+        parsed.sizes.push(parseSize(value()));
+        break;
+      case "-p":
+      case "--placeholder":
+        parsed.placeholder = value();
+        break;
+      case "--placeholder-width":
+        parsed.placeholderWidth = parseNumber(flag, value());
+        break;
+      case "--colors":
+        // split on the commas outside of color functions
+        parsed.options.colors = value()
+          .split(/,(?![^(]*\))/)
+          .map((color) => color.trim());
+        break;
+      case "--amplitude":
+        parsed.options.amplitude = parseNumber(flag, value());
+        break;
+      case "--blend-space":
+        parsed.options.blendSpace = value();
+        break;
+      case "--density":
+        parsed.options.density = value()
+          .split(",")
+          .map((n) => parseNumber(flag, n));
+        break;
+      case "--seed":
+        parsed.options.seed = parseNumber(flag, value());
+        break;
+      case "--time":
+        parsed.options.time = parseNumber(flag, value());
+        break;
+      case "-h":
+      case "--help":
+        parsed.help = true;
+        break;
+      default:
+        throw new TypeError(`unknown option "${flag}"`);
+    }
+  }
+
+  if (!parsed.sizes.length) parsed.sizes.push([1920, 1080]);
+  if (!parsed.output && !parsed.placeholder) parsed.output = "gradient.png";
+  return parsed;
+}
+
+/**
+ * CRC-32 lookup table used by PNG chunks.
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  for (let k = 0; k < 8; k++) n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+  return n >>> 0;
+});
+
+/**
+ * Creates a PNG chunk.
+ *
+ * @param {string} type - chunk type
+ * @param {Buffer} data - chunk data
+ * @returns {Buffer} chunk bytes
+ */
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  let crc = 0xffffffff;
+  for (const byte of body) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  const chunk = Buffer.alloc(body.length + 8);
+  chunk.writeUInt32BE(data.length, 0);
+  body.copy(chunk, 4);
+  chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, body.length + 4);
+  return chunk;
+}
+
+/**
+ * Encodes RGBA pixels as a PNG file.
+ *
+ * @param {RGBAImage} image - image to encode
+ * @returns {Buffer} PNG file
+ */
+function encodePNG({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+
+  // Each row starts with its filter type, 0 (none)
+  const rowLength = width * 4;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(
+      data.subarray(y * rowLength, (y + 1) * rowLength),
+      y * (rowLength + 1) + 1
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Encodes RGBA pixels as a WebP file using `sharp`.
+ *
+ * @param {RGBAImage} image - image to encode
+ * @returns {Promise<Buffer>} WebP file
+ */
+async function encodeWebP({ width, height, data }) {
+  let sharp;
+  try {
+    sharp = (await import("sharp")).default;
+  } catch {
+    throw new Error(
+      "can't load `sharp`, install it with `npm install sharp` to encode WebP"
+    );
+  }
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+    raw: { width, height, channels: 4 },
+  })
+    .webp()
+    .toBuffer();
+}
+
+/**
+ * Encodes an image based on the output file extension.
+ *
+ * @param {RGBAImage} image - image to encode
+ * @param {string} file - output file path
+ * @returns {Promise<{buffer: Buffer, type: string}>} file contents and
+ * MIME type
+ */
+async function encode(image, file) {
+  const extension = extname(file).toLowerCase();
+  if (extension === ".png") {
+    return { buffer: encodePNG(image), type: "image/png" };
+  }
+  if (extension === ".webp") {
+    return { buffer: await encodeWebP(image), type: "image/webp" };
+  }
+  throw new TypeError(`unsupported image format "${extension}"`);
+}
+
+/**
+ * Downscales an image by averaging the pixels that fall into each
+ * pixel of the smaller image, then blurs it with a 3x3 box blur.
+ *
+ * @param {RGBAImage} image - source image
+ * @param {number} width - placeholder width
+ * @param {number} height - placeholder height
+ * @returns {RGBAImage} placeholder image
+ */
+function createPlaceholder(image, width, height) {
+  const small = new Float64Array(width * height * 4);
+  const counts = new Float64Array(width * height);
+  for (let y = 0; y < image.height; y++) {
+    const sy = Math.floor((y * height) / image.height);
+    for (let x = 0; x < image.width; x++) {
+      const sx = Math.floor((x * width) / image.width);
+      const i = (y * image.width + x) * 4;
+      const j = sy * width + sx;
+      for (let c = 0; c < 4; c++) small[j * 4 + c] += image.data[i + c];
+      counts[j]++;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sum = [0, 0, 0, 0];
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const j = ny * width + nx;
+          for (let c = 0; c < 4; c++) sum[c] += small[j * 4 + c] / counts[j];
+          count++;
+        }
+      }
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) data[i + c] = sum[c] / count;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Appends a suffix to the base name of a file path.
+ *
+ * @param {string} file - file path
+ * @param {string} suffix - suffix
+ * @returns {string} file path with the suffix
+ */
+function withSuffix(file, suffix) {
+  const extension = extname(file);
+  return join(dirname(file), basename(file, extension) + suffix + extension);
+}
+
+// ---------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+  }
+
+  const options = {
+    ...(args.config ? JSON.parse(readFileSync(args.config, "utf8")) : {}),
+    ...args.options,
+  };
+
+  // The placeholder is created from the first image. It is rendered at
+  // full size since the waves displacement depends on the image size.
+  const firstImage = renderGradient(...args.sizes[0], options);
+
+  if (args.output) {
+    for (const [width, height] of args.sizes) {
+      const image =
+        width === firstImage.width && height === firstImage.height
+          ? firstImage
+          : renderGradient(width, height, options);
+      const file =
+        args.sizes.length > 1
+          ? withSuffix(args.output, `-${width}x${height}`)
+          : args.output;
+      writeFileSync(file, (await encode(image, file)).buffer);
+      console.error(`wrote ${file}`);
+    }
+  }
+
+  if (args.placeholder) {
+    const width = Math.max(Math.round(args.placeholderWidth), 1);
+    const height = Math.max(
+      Math.round((width * firstImage.height) / firstImage.width),
+      1
+    );
+    const placeholder = createPlaceholder(firstImage, width, height);
+    const { buffer, type } = await encode(placeholder, args.placeholder);
+    writeFileSync(args.placeholder, buffer);
+    console.error(`wrote ${args.placeholder}`);
+    console.log(`data:${type};base64,${buffer.toString("base64")}`);
+  }
+} catch (error) {
+  console.error(`wave-gradient: ${error.message}`);
+  console.error("Try `wave-gradient --help` for more information.");
+  process.exit(1);
+}
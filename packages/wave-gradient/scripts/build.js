@@ -9,7 +9,12 @@ import { promisify } from "util";
 const readFile = promisify(_readFile);
 
 const MODULE_CACHE = new Map();
-const SHADER_FILES = ["src/shaders/.vert", "src/shaders/.frag"];
+const SHADER_FILES = [
+  "src/shaders/.vert",
+  "src/shaders/.frag",
+  "src/shaders/webgl1.vert",
+  "src/shaders/webgl1.frag",
+];
 
 // ---------------------------------------------------------------------
 // Parse command line arguments
@@ -101,12 +106,14 @@ const parseIncludes = async (filePath, cache = MODULE_CACHE) => {
 function esbuild(watch = false) {
   build({
     bundle: true,
-    entryPoints: ["src/wave-gradient.js"],
+    entryPoints: ["src/wave-gradient.js", "src/worker.js"],
     format: "esm",
     minify: !watch,
     outdir: "dist",
     sourcemap: true,
-    target: "es2018",
+    // ES2018 browsers that also support `import.meta`, which is used to
+    // load the worker. esbuild does not allow it with an `es2018` target
+    target: ["chrome64", "edge79", "firefox62", "safari11.1"],
     watch: watch && {
       onRebuild(error) {
         !error && console.log("event - esbuild build succeeded");
@@ -140,6 +147,8 @@ async function shaderMinifier() {
       ...["-o", "-"],
       ...["--format", "js"],
       ...["--preserve-externals"],
+      // Shader hooks override these functions by name at runtime
+      ...["--no-renaming-list", "main,displacement,layerColor,finalColor"],
       ...shaderFiles,
     ]);
 
@@ -150,7 +159,7 @@ async function shaderMinifier() {
       // remove #extention directives
       .replace(/#(extension).+\n/g, "")
       // chnage snake_case to camelCase
-      .replace(/\b([a-z])?(_)([a-z])/g, (_match, p1, _p2, p3) =>
+      .replace(/\b([a-z]\w*)?(_)([a-z])/g, (_match, p1, _p2, p3) =>
         p1 ? p1 + p3.toUpperCase() : p3
       )
       // replace vars with exported consts
@@ -0,0 +1,968 @@
+// ---------------------------------------------------------------------
+// ClipSpace
+// ---------------------------------------------------------------------
+
+/**
+ * Clip space plane geometry
+ *
+ * @typedef {{
+ *   positions: ArrayBuffer,
+ *   indices: ArrayBuffer,
+ *   count: number,
+ *   vertexCount: number
+ * }} ClipSpacePlaneGeometry
+ */
+
+/**
+ * Clip space configuration. With `shared`, the compiled program of
+ * another clip space on the same context is used instead of compiling
+ * the shaders, while the buffers and uniform values are separate.
+ * Without `elements`, the geometry is drawn without indices.
+ *
+ * @typedef {{
+ *   gl: WebGLRenderingContext | WebGL2RenderingContext,
+ *   shaders: [string, string],
+ *   attributes: Object<string, ArrayBuffer | ClipSpaceAttribute>,
+ *   elements?: ClipSpaceBufferData,
+ *   elementType?: number,
+ *   uniforms?: Object<string, ClipSpaceUniform>,
+ *   shared?: ClipSpace,
+ * }} ClipSpaceConfig
+ */
+
+/**
+ * Data of a buffer, as an `ArrayBuffer` or a typed array.
+ *
+ * @typedef {(
+ *   ArrayBuffer | Int8Array | Uint8Array | Int16Array | Uint16Array |
+ *   Int32Array | Uint32Array | Float32Array
+ * )} ClipSpaceBufferData
+ */
+
+/**
+ * Image uploaded to the texture of a `texture` uniform.
+ *
+ * @typedef {(
+ *   ImageBitmap | ImageData | HTMLImageElement | HTMLCanvasElement |
+ *   HTMLVideoElement
+ * )} ClipSpaceTextureSource
+ */
+
+/**
+ * `OES_vertex_array_object` extension.
+ *
+ * @typedef {{
+ *   createVertexArrayOES: () => WebGLVertexArrayObject | null,
+ *   bindVertexArrayOES: (vao: WebGLVertexArrayObject | null) => void,
+ *   deleteVertexArrayOES: (vao: WebGLVertexArrayObject | null) => void,
+ * }} VertexArrayExtension
+ */
+
+/**
+ * Vertex attribute. An `ArrayBuffer` alone is an attribute of 3 floats
+ * per vertex. `integer` attributes are read as integers by WebGL2
+ * shaders instead of being converted to floats.
+ *
+ * @typedef {{
+ *   data: ClipSpaceBufferData,
+ *   size?: number,
+ *   type?: number,
+ *   normalized?: boolean,
+ *   integer?: boolean,
+ *   stride?: number,
+ *   offset?: number,
+ *   usage?: number,
+ * }} ClipSpaceAttribute
+ */
+
+/**
+ * @typedef {{
+ *   buffer: WebGLBuffer,
+ *   location: number,
+ *   size: number,
+ *   type: number,
+ *   normalized: boolean,
+ *   integer: boolean,
+ *   stride: number,
+ *   offset: number,
+ *   usage: number,
+ * }} AttributeInfo
+ */
+
+/**
+ * Uniform. When `type` is omitted, the value is a struct, an object of
+ * uniforms by member name, or an array of uniforms or structs.
+ *
+ * @typedef {{
+ *   type?: ClipSpaceUniformType,
+ *   value: any,
+ * }} ClipSpaceUniform
+ */
+
+/**
+ * Uniform type, the suffix of the WebGL `uniform*` method that sets it.
+ * Values of the vector and matrix array types (`*v`) are flat arrays.
+ * `texture` values are images uploaded to a texture
+ * bound to a `sampler2D`, and `block` values are `ArrayBuffer` or typed
+ * arrays with the layout of a uniform block (WebGL2 only).
+ *
+ * @typedef {(
+ *   "1f" | "2f" | "3f" | "4f" |
+ *   "1i" | "2i" | "3i" | "4i" |
+ *   "1ui" | "2ui" | "3ui" | "4ui" |
+ *   "1fv" | "2fv" | "3fv" | "4fv" |
+ *   "1iv" | "2iv" | "3iv" | "4iv" |
+ *   "1uiv" | "2uiv" | "3uiv" | "4uiv" |
+ *   "Matrix2fv" | "Matrix3fv" | "Matrix4fv" |
+ *   "Matrix2x3fv" | "Matrix2x4fv" | "Matrix3x2fv" |
+ *   "Matrix3x4fv" | "Matrix4x2fv" | "Matrix4x3fv" |
+ *   "texture" | "block"
+ * )} ClipSpaceUniformType
+ */
+
+/**
+ * Texture or uniform buffer of a uniform, bound to a texture unit or a
+ * uniform buffer binding point.
+ *
+ * @typedef {{
+ *   bind: () => void,
+ *   delete: () => void,
+ * }} ClipSpaceBinding
+ */
+
+/**
+ * State of a draw call. State that is omitted is left as is.
+ *
+ * @typedef {object} ClipSpaceDrawOptions
+ * @property {number} [mode] Primitive type, defaults to `gl.TRIANGLES`.
+ * @property {number} [count] Number of indices, or of vertices without
+ * elements, defaults to all of them.
+ * @property {number} [offset] First index or vertex to draw.
+ * @property {Object<string, any>} [uniforms] Uniform values to set
+ * before drawing.
+ * @property {WebGLFramebuffer | null} [framebuffer] Framebuffer to draw
+ * to, `null` for the canvas.
+ * @property {[number, number, number, number]} [viewport] Viewport `x`,
+ * `y`, `width` and `height`.
+ * @property {[number, number] | false} [blend] Source and destination
+ * blend factors, or `false` to disable blending.
+ * @property {boolean} [depthTest] Whether to enable the depth test.
+ * @property {boolean} [cullFace] Whether to cull back faces.
+ */
+
+/**
+ * Sizes in bytes of the WebGL data types, by type enum. Types not listed
+ * (`INT`, `UNSIGNED_INT` and `FLOAT`) take 4 bytes.
+ *
+ * @type {Object<number, number>}
+ */
+const TYPE_SIZES = {
+  0x1400: 1, // BYTE
+  0x1401: 1, // UNSIGNED_BYTE
+  0x1402: 2, // SHORT
+  0x1403: 2, // UNSIGNED_SHORT
+  0x140b: 2, // HALF_FLOAT
+  0x8d61: 2, // HALF_FLOAT_OES
+};
+
+/**
+ * Class that encapsulates the creation and state management of a WebGL
+ * program and related attributes and uniforms. Attributes and uniforms
+ * are prefixed in the shaders, `position` is `a_Position` and `tint`
+ * is `u_Tint`.
+ *
+ * Some inspiration from [Phenomenon
+ * library](https://github.com/vaneenige/phenomenon).
+ */
+export class ClipSpace {
+  /**
+   * Creates clip space plane geometry.
+   *
+   * This plane is created for WEBGL clip space, this means it has a
+   * width and depth of 2 and the positions of the vertices go from -1
+   * to 1 in the X and Y axis, while the Z axis goes from 0 to 1 to
+   * match the default near and far values for the depth buffer.
+   *
+   * Note that I am not using the depth buffer since enabling the depth
+   * test increases GPU usage (at least on my laptops's iGPU). Since the
+   * depth test is disabled, I had to order the vertices back to front
+   * (far to near) to get the correct order of the fragments.
+   *
+   * With 16-bit indices, for WebGL 1 without the
+   * `OES_element_index_uint` extension, the number of segments is
+   * reduced if needed so that all the vertices can be indexed.
+   *
+   * @param {number} widthSegments Width of the plane
+   * @param {number} depthSegments depth of the plane
+   * @param {boolean} [uint16] Use 16-bit instead of 32-bit indices
+   * @returns {ClipSpacePlaneGeometry} Plane geometry
+   */
+  static createPlaneGeometry(widthSegments, depthSegments, uint16 = false) {
+    let gridX = Math.ceil(widthSegments);
+    let gridZ = Math.ceil(depthSegments);
+
+    // Scale the grid down to at most 65536 vertices, the most that
+    // 16-bit indices can address
+    const scale = Math.sqrt(65536 / ((gridX + 1) * (gridZ + 1)));
+    if (uint16 && scale < 1) {
+      gridX = Math.max(Math.floor((gridX + 1) * scale) - 1, 1);
+      gridZ = Math.max(Math.floor((gridZ + 1) * scale) - 1, 1);
+    }
+
+    // Prepare the typed arrays for the indexed geometry
+    const vertexCount = (gridX + 1) * (gridZ + 1);
+    const indexCount = 3 * 2 * gridX * gridZ;
+    const indexSize = uint16 ? 2 : 4;
+    const positions = new ArrayBuffer(4 * 3 * vertexCount);
+    const indices = new ArrayBuffer(indexSize * indexCount);
+
+    // Create the vertex positions
+    for (let z = gridZ, i = 0, view = new DataView(positions); z >= 0; z--) {
+      const v = z / gridZ;
+      const clipY = v * 2 - 1;
+      for (let x = gridX; x >= 0; x--, i += 3) {
+        const clipX = (x / gridX) * 2 - 1;
+        view.setFloat32((i + 0) * 4, clipX, true);
+        view.setFloat32((i + 1) * 4, clipY, true);
+        view.setFloat32((i + 2) * 4, v, true);
+      }
+    }
+
+    // Create the indices
+    const verticesAcross = gridX + 1;
+    const view = new DataView(indices);
+    /** @type {(i: number, index: number) => void} */
+    const setIndex = uint16
+      ? (i, index) => view.setUint16(i * 2, index, true)
+      : (i, index) => view.setUint32(i * 4, index, true);
+    for (let z = 0, i = 0; z < gridZ; z++) {
+      for (let x = 0; x < gridX; x++, i += 6) {
+        setIndex(i + 0, (z + 0) * verticesAcross + x);
+        setIndex(i + 1, (z + 0) * verticesAcross + x + 1);
+        setIndex(i + 2, (z + 1) * verticesAcross + x);
+        setIndex(i + 3, (z + 0) * verticesAcross + x + 1);
+        setIndex(i + 4, (z + 1) * verticesAcross + x + 1);
+        setIndex(i + 5, (z + 1) * verticesAcross + x);
+      }
+    }
+
+    return { positions, indices, count: indexCount, vertexCount };
+  }
+
+  /**
+   * Prefixes attribute or uniform names with the given prefix. While
+   * also making the name sentence cased.
+   *
+   * @param {string} name attribute/uniform name
+   * @param {string} prefix prefix
+   * @returns {string} prefixed name
+   */
+  static prefixName(name, prefix) {
+    return `${prefix}${name[0].toUpperCase()}${name.slice(1)}`;
+  }
+
+  /**
+   * @param {ClipSpaceConfig} config configuration
+   */
+  constructor(config) {
+    /** @private */
+    this.gl = config.gl;
+
+    /** @private */
+    this.shaders = config.shaders;
+
+    /**
+     * Clip space the program is shared with, which owns it.
+     *
+     * @private
+     * @type {ClipSpace | undefined}
+     */
+    this.shared = config.shared;
+
+    /** @private */
+    this.program = this.shared
+      ? this.useProgram(this.shared.program)
+      : this.createProgram(config.shaders);
+
+    /**
+     * `OES_vertex_array_object` extension, for vertex array objects in
+     * WebGL 1.
+     *
+     * @private
+     * @type {VertexArrayExtension | null}
+     */
+    this.vaoExtension =
+      "createVertexArray" in this.gl
+        ? null
+        : this.gl.getExtension("OES_vertex_array_object");
+
+    /**
+     * Vertex array object that keeps the attribute and element buffer
+     * bindings, if supported.
+     *
+     * @private
+     * @type {WebGLVertexArrayObject | null}
+     */
+    this.vertexArray = this.createVertexArray();
+
+    /**
+     * @private
+     * @type {Object<string, AttributeInfo>}
+     */
+    this._attributes = {};
+
+    /**
+     * Current attributes data, kept to restore the buffers.
+     *
+     * @private
+     * @type {Object<string, ArrayBuffer | ClipSpaceAttribute>}
+     */
+    this._attributesData = {};
+
+    /** @private */
+    this.setupAttributes(config.attributes);
+
+    /**
+     * @private
+     * @type {WebGLBuffer | undefined}
+     */
+    this._elementBuffer = undefined;
+
+    /**
+     * @private
+     * @type {ClipSpaceBufferData | undefined}
+     */
+    this._elements = config.elements;
+
+    /**
+     * Type of the indices in the element buffer.
+     *
+     * @private
+     * @type {number}
+     */
+    this._elementType = this.gl.UNSIGNED_INT;
+
+    if (config.elements) this.setElements(config.elements, config.elementType);
+
+    /**
+     * @private
+     * @type {Object<string, Function>}
+     */
+    this._uniforms = {};
+
+    /**
+     * Current uniform values, kept to restore the uniforms.
+     *
+     * @private
+     * @type {Object<string, {name: string, type: ClipSpaceUniformType, value: any}>}
+     */
+    this._uniformValues = {};
+
+    /**
+     * Textures and uniform buffers of the `texture` and `block`
+     * uniforms, by uniform name.
+     *
+     * @private
+     * @type {Object<string, ClipSpaceBinding>}
+     */
+    this._bindings = {};
+
+    /**
+     * Next free texture unit and uniform buffer binding point.
+     *
+     * @private
+     */
+    this._textureUnits = 0;
+
+    /** @private */
+    this._blockBindings = 0;
+
+    /** @private */
+    this.setupUniforms(config.uniforms ?? {});
+  }
+
+  /**
+   * Recreates the WebGL program and buffers, and sets the attributes,
+   * elements and uniforms to their current values. Used after a lost
+   * WebGL context is restored, since all the WebGL objects are lost
+   * with it.
+   */
+  restore() {
+    // A shared program is restored by the clip space that owns it, which
+    // listens to the context events first
+    this.program = this.shared
+      ? this.useProgram(this.shared.program)
+      : this.createProgram(this.shaders);
+
+    this.vaoExtension =
+      "createVertexArray" in this.gl
+        ? null
+        : this.gl.getExtension("OES_vertex_array_object");
+    this.vertexArray = this.createVertexArray();
+
+    this._attributes = {};
+    this.setupAttributes(this._attributesData);
+
+    this._elementBuffer = undefined;
+    if (this._elements) this.setElements(this._elements, this._elementType);
+
+    this._bindings = {};
+    this._textureUnits = 0;
+    this._blockBindings = 0;
+    for (const [key, { name, type, value }] of Object.entries(
+      this._uniformValues
+    )) {
+      this._uniforms[key] = this.createUniformSetter(name, type, value);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} type shader type
+   * @param {string} source shader source
+   * @throws {Error} if the shader could not be created
+   * @returns {WebGLShader} shader
+   */
+  compileShader(type, source) {
+    const { gl } = this;
+
+    let shader = gl.createShader(type);
+    if (!shader) throw new Error("can't create shader");
+
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    return shader;
+  }
+
+  /**
+   * @private
+   * @param {WebGLProgram} program WebGL program
+   * @throws {Error} if the program did not link successfully
+   * @returns {void}
+   */
+  debugProgram(program) {
+    const { gl } = this;
+    const [vs, fs] = gl.getAttachedShaders(program) ?? [];
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(
+        `can't link WebGL program.
+    ${gl.getProgramInfoLog(program)}
+    ${gl.getShaderInfoLog(vs)}
+    ${gl.getShaderInfoLog(fs)}`
+      );
+    }
+  }
+
+  /**
+   * Creates a WebGL program.
+   *
+   * @private
+   * @param {[string, string]} shaders vertex & fragment shader sources
+   * @throws {Error} if the program could not be created or linked
+   * @returns {WebGLProgram} shader program
+   */
+  createProgram(shaders) {
+    const { gl } = this;
+    const [vs, fs] = [
+      this.compileShader(gl.VERTEX_SHADER, shaders[0]),
+      this.compileShader(gl.FRAGMENT_SHADER, shaders[1]),
+    ];
+
+    const program = gl.createProgram();
+    if (!program) throw new Error("can't create WebGL program");
+
+    gl.attachShader(program, vs);
+    gl.attachShader(program, fs);
+
+    try {
+      gl.linkProgram(program);
+      this.debugProgram(program);
+    } catch (linkError) {
+      gl.deleteProgram(program);
+      throw linkError;
+    } finally {
+      gl.deleteShader(vs);
+      gl.deleteShader(fs);
+    }
+
+    return this.useProgram(program);
+  }
+
+  /**
+   * Makes a program the current program of the context.
+   *
+   * @private
+   * @param {WebGLProgram} program WebGL program
+   * @returns {WebGLProgram} the same program
+   */
+  useProgram(program) {
+    this.gl.useProgram(program);
+    return program;
+  }
+
+  /**
+   * Creates a WebGL buffer.
+   *
+   * @private
+   * @throws if can't create buffer
+   * @returns {WebGLBuffer} buffer
+   */
+  createBuffer() {
+    const { gl } = this;
+    const buffer = gl.createBuffer();
+    if (!buffer) throw new Error("can't create buffer");
+    return buffer;
+  }
+
+  /**
+   * Creates a vertex array object, if supported.
+   *
+   * @private
+   * @returns {WebGLVertexArrayObject | null}
+   * vertex array object
+   */
+  createVertexArray() {
+    const { gl, vaoExtension } = this;
+    if ("createVertexArray" in gl) return gl.createVertexArray();
+    return vaoExtension ? vaoExtension.createVertexArrayOES() : null;
+  }
+
+  /**
+   * Binds the vertex array object, if supported. It must be bound before
+   * changing the attribute pointers or the element buffer, which are
+   * part of its state.
+   *
+   * @private
+   */
+  bindVertexArray() {
+    const { gl, vaoExtension, vertexArray } = this;
+    if (!vertexArray) return;
+    if ("bindVertexArray" in gl) gl.bindVertexArray(vertexArray);
+    else vaoExtension?.bindVertexArrayOES(vertexArray);
+  }
+
+  /**
+   * Creates the attributes for the WebGL program.
+   *
+   * @private
+   * @param {Object<string, ArrayBuffer | ClipSpaceAttribute>} attributes
+   * attributes
+   */
+  setupAttributes(attributes) {
+    const { gl, program } = this;
+    this.bindVertexArray();
+
+    for (const [name, attribute] of Object.entries(attributes)) {
+      const prefixedName = ClipSpace.prefixName(name, "a_");
+      const {
+        data,
+        size = 3,
+        type = gl.FLOAT,
+        normalized = false,
+        integer = false,
+        stride = 0,
+        offset = 0,
+        usage = gl.STATIC_DRAW,
+      } = attribute instanceof ArrayBuffer ? { data: attribute } : attribute;
+
+      const buffer = this.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, data, usage);
+
+      // Attributes unused by the shaders have no location
+      const location = gl.getAttribLocation(program, prefixedName);
+      const info = {
+        ...{ buffer, location, size, type, normalized, integer },
+        ...{ stride, offset, usage },
+      };
+      if (location !== -1) {
+        gl.enableVertexAttribArray(location);
+        this.setAttributePointer(info);
+      }
+
+      this._attributes[name] = info;
+      this._attributesData[name] = attribute;
+    }
+  }
+
+  /**
+   * Points an attribute to its buffer, which must be bound.
+   *
+   * @private
+   * @param {AttributeInfo} attribute attribute
+   */
+  setAttributePointer(attribute) {
+    const { gl } = this;
+    const { location, size, type, normalized, stride, offset } = attribute;
+    if (attribute.integer && "vertexAttribIPointer" in gl) {
+      gl.vertexAttribIPointer(location, size, type, stride, offset);
+    } else {
+      gl.vertexAttribPointer(location, size, type, normalized, stride, offset);
+    }
+  }
+
+  /**
+   * Setter for attributes. The attribute keeps its size and type.
+   *
+   * @param {string} attributeName attribute name
+   * @param {ClipSpaceBufferData} dataBuffer buffer containing
+   * the data
+   */
+  setAttribute(attributeName, dataBuffer) {
+    const { gl } = this;
+    const attribute = this._attributes[attributeName];
+    const current = this._attributesData[attributeName];
+    this._attributesData[attributeName] =
+      current instanceof ArrayBuffer
+        ? /** @type {ArrayBuffer} */ (dataBuffer)
+        : { ...current, data: dataBuffer };
+
+    // The buffer is bound again since another clip space sharing the
+    // context might have bound its own
+    gl.bindBuffer(gl.ARRAY_BUFFER, attribute.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, dataBuffer, attribute.usage);
+  }
+
+  /**
+   * Setup WebGL indexed drawing data buffer. The index type is taken
+   * from typed arrays, and defaults to `gl.UNSIGNED_INT` for buffers.
+   *
+   * @param {ClipSpaceBufferData} elements elements
+   * @param {number} [type] index type
+   */
+  setElements(elements, type) {
+    const { gl } = this;
+    this._elements = elements;
+    this._elementType =
+      type ??
+      (elements instanceof Uint16Array
+        ? gl.UNSIGNED_SHORT
+        : elements instanceof Uint8Array
+        ? gl.UNSIGNED_BYTE
+        : gl.UNSIGNED_INT);
+
+    this.bindVertexArray();
+    this._elementBuffer ??= this.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this._elementBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, elements, gl.STATIC_DRAW);
+  }
+
+  /**
+   * @param {string} name uniform name
+   * @param {ClipSpaceUniformType} type uniform type
+   * @param {any} [initialValue] initial uniform value
+   * @throws {TypeError} if the uniform type is unknown
+   * @returns {Function} uniform setter function
+   */
+  createUniformSetter(name, type, initialValue) {
+    const { gl, program } = this;
+
+    if (type === "texture" || type === "block") {
+      const setter =
+        type === "texture"
+          ? this.createTextureSetter(name)
+          : this.createBlockSetter(name);
+      if (initialValue !== undefined) setter(initialValue);
+      return setter;
+    }
+
+    const uniformX = `uniform${type}`;
+    // @ts-ignore
+    if (typeof gl[uniformX] !== "function") {
+      throw new TypeError(`unknown uniform type "${type}"`);
+    }
+
+    const location = gl.getUniformLocation(program, name);
+    /** @type {(value: any) => void} */
+    let setter;
+    if (type.startsWith("Matrix")) {
+      // @ts-ignore
+      setter = (value) => gl[uniformX](location, false, value);
+    } else if (type.endsWith("v")) {
+      // @ts-ignore
+      setter = (value) => gl[uniformX](location, value);
+    } else {
+      setter = (value) => {
+        Array.isArray(value)
+          ? // @ts-ignore
+            gl[uniformX](location, ...value)
+          : // @ts-ignore
+            gl[uniformX](location, value);
+      };
+    }
+    if (initialValue !== undefined) setter(initialValue);
+    return setter;
+  }
+
+  /**
+   * Creates the texture of a `sampler2D` uniform, bound to the next
+   * free texture unit. Its setter uploads an image to the texture.
+   *
+   * @private
+   * @param {string} name uniform name
+   * @throws {Error} if the texture could not be created
+   * @returns {(source: ClipSpaceTextureSource | null) => void} uniform setter
+   */
+  createTextureSetter(name) {
+    const { gl, program } = this;
+    const location = gl.getUniformLocation(program, name);
+    const unit = this._textureUnits++;
+
+    const texture = gl.createTexture();
+    if (!texture) throw new Error("can't create texture");
+
+    const bind = () => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.uniform1i(location, unit);
+    };
+    this._bindings[name] = { bind, delete: () => gl.deleteTexture(texture) };
+
+    // Clamped and unfiltered by mipmaps, so that textures of any size
+    // work with WebGL 1
+    bind();
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    return (source) => {
+      bind();
+      if (!source) return;
+
+      // Images are stored top to bottom, textures bottom to top
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.RGBA,
+        gl.RGBA,
+        gl.UNSIGNED_BYTE,
+        source
+      );
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    };
+  }
+
+  /**
+   * Creates the uniform buffer of a uniform block, bound to the next
+   * free binding point. Its setter uploads the block data.
+   *
+   * @private
+   * @param {string} name uniform block name
+   * @throws {Error} if uniform blocks are not supported or the buffer
+   * could not be created
+   * @returns {(data: ClipSpaceBufferData) => void} uniform
+   * setter
+   */
+  createBlockSetter(name) {
+    const { gl, program } = this;
+    if (!("uniformBlockBinding" in gl)) {
+      throw new Error("can't use uniform blocks with WebGL 1");
+    }
+
+    const index = gl.getUniformBlockIndex(program, name);
+    const binding = this._blockBindings++;
+    const buffer = this.createBuffer();
+
+    const bind = () => {
+      gl.uniformBlockBinding(program, index, binding);
+      gl.bindBufferBase(gl.UNIFORM_BUFFER, binding, buffer);
+    };
+    this._bindings[name] = { bind, delete: () => gl.deleteBuffer(buffer) };
+
+    return (data) => {
+      gl.bindBuffer(gl.UNIFORM_BUFFER, buffer);
+      gl.bufferData(gl.UNIFORM_BUFFER, data, gl.DYNAMIC_DRAW);
+      bind();
+    };
+  }
+
+  /**
+   * Creates the uniforms for the WebGL program.
+   *
+   * @param {Object<string, ClipSpaceUniform>} uniforms uniforms
+   */
+  setupUniforms(uniforms) {
+    for (const [name, uniform] of Object.entries(uniforms)) {
+      this.setupUniform(name, ClipSpace.prefixName(name, "u_"), uniform);
+    }
+  }
+
+  /**
+   * Creates a uniform, or the uniforms of a struct or of the elements
+   * of an array.
+   *
+   * @private
+   * @param {string} key uniform key used by `setUniform()`
+   * @param {string} name uniform name in the shaders
+   * @param {ClipSpaceUniform} uniform uniform type and initial value
+   */
+  setupUniform(key, name, uniform) {
+    if (uniform.type !== undefined) {
+      this.addUniform(key, name, uniform);
+      return;
+    }
+
+    if (!Array.isArray(uniform.value)) {
+      this.setupStruct(key, name, uniform.value);
+      return;
+    }
+
+    uniform.value.forEach(
+      /**
+       * @param {any} item uniform or struct
+       * @param {number} i index
+       */
+      (item, i) => {
+        typeof item.type === "string"
+          ? this.setupUniform(`${key}[${i}]`, `${name}[${i}]`, item)
+          : this.setupStruct(`${key}[${i}]`, `${name}[${i}]`, item);
+      }
+    );
+  }
+
+  /**
+   * Creates the uniforms of the members of a struct.
+   *
+   * @private
+   * @param {string} key struct key used by `setUniform()`
+   * @param {string} name struct name in the shaders
+   * @param {Object<string, ClipSpaceUniform>} members struct members
+   */
+  setupStruct(key, name, members) {
+    for (const [member, uniform] of Object.entries(members)) {
+      this.setupUniform(`${key}.${member}`, `${name}.${member}`, uniform);
+    }
+  }
+
+  /**
+   * Creates the setter of a uniform and sets its initial value.
+   *
+   * @private
+   * @param {string} key uniform key used by `setUniform()`
+   * @param {string} name uniform name in the shaders
+   * @param {ClipSpaceUniform} uniform uniform type and initial value
+   */
+  addUniform(key, name, { type, value }) {
+    const uniformType = /** @type {ClipSpaceUniformType} */ (type);
+    this._uniformValues[key] = { name, type: uniformType, value };
+    this._uniforms[key] = this.createUniformSetter(name, uniformType, value);
+  }
+
+  /**
+   * Setter for uniforms.
+   *
+   * @param {string} uniformName uniform name
+   * @param {any} newValue new value
+   */
+  setUniform(uniformName, newValue) {
+    this._uniformValues[uniformName].value = newValue;
+    this._uniforms[uniformName](newValue);
+  }
+
+  /**
+   * Binds the program, buffers, textures and uniform values of the clip
+   * space. Only needed before drawing when the context is shared with
+   * other clip spaces, since they all change its state.
+   */
+  bind() {
+    const { gl } = this;
+
+    gl.useProgram(this.program);
+    if (this.vertexArray) {
+      this.bindVertexArray();
+    } else {
+      for (const [, attribute] of Object.entries(this._attributes)) {
+        if (attribute.location === -1) continue;
+        gl.bindBuffer(gl.ARRAY_BUFFER, attribute.buffer);
+        this.setAttributePointer(attribute);
+      }
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this._elementBuffer ?? null);
+    }
+
+    for (const [key, { name, value }] of Object.entries(this._uniformValues)) {
+      if (name in this._bindings) this._bindings[name].bind();
+      else if (value !== undefined) this._uniforms[key](value);
+    }
+  }
+
+  /**
+   * Draws the geometry with the given state. The elements are drawn if
+   * any, the vertices in order otherwise.
+   *
+   * @param {ClipSpaceDrawOptions} [options] draw call state
+   */
+  draw(options = {}) {
+    const { gl } = this;
+    const { mode = gl.TRIANGLES, offset = 0, uniforms = {} } = options;
+
+    for (const [name, value] of Object.entries(uniforms)) {
+      this.setUniform(name, value);
+    }
+
+    if (options.framebuffer !== undefined) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, options.framebuffer);
+    }
+    if (options.viewport) gl.viewport(...options.viewport);
+    if (options.blend) {
+      gl.enable(gl.BLEND);
+      gl.blendFunc(...options.blend);
+    } else if (options.blend === false) {
+      gl.disable(gl.BLEND);
+    }
+    if (options.depthTest !== undefined) {
+      options.depthTest ? gl.enable(gl.DEPTH_TEST) : gl.disable(gl.DEPTH_TEST);
+    }
+    if (options.cullFace !== undefined) {
+      options.cullFace ? gl.enable(gl.CULL_FACE) : gl.disable(gl.CULL_FACE);
+    }
+
+    const elements = this._elements;
+    if (elements) {
+      const indexSize = TYPE_SIZES[this._elementType] ?? 4;
+      const count = options.count ?? elements.byteLength / indexSize - offset;
+      gl.drawElements(mode, count, this._elementType, offset * indexSize);
+    } else {
+      const count = options.count ?? this.getVertexCount() - offset;
+      gl.drawArrays(mode, offset, count);
+    }
+  }
+
+  /**
+   * Gets the number of vertices, from the data of the first attribute.
+   *
+   * @private
+   * @returns {number} number of vertices
+   */
+  getVertexCount() {
+    const [attribute] = Object.values(this._attributes);
+    const [data] = Object.values(this._attributesData);
+    if (!attribute || !data) return 0;
+
+    const { byteLength } = data instanceof ArrayBuffer ? data : data.data;
+    const typeSize = TYPE_SIZES[attribute.type] ?? 4;
+    const stride = attribute.stride || attribute.size * typeSize;
+    return Math.floor((byteLength - attribute.offset) / stride);
+  }
+
+  /**
+   * Deletes the WebGL program, buffers and textures. A shared program is
+   * only deleted with the clip space that owns it.
+   */
+  delete() {
+    const { gl, vaoExtension, vertexArray } = this;
+
+    if (!this.shared) gl.deleteProgram(this.program);
+    for (const [, attribute] of Object.entries(this._attributes)) {
+      this.gl.deleteBuffer(attribute.buffer);
+    }
+    if (this._elementBuffer) gl.deleteBuffer(this._elementBuffer);
+    for (const [, binding] of Object.entries(this._bindings)) binding.delete();
+    if (vertexArray) {
+      if ("deleteVertexArray" in gl) gl.deleteVertexArray(vertexArray);
+      else vaoExtension?.deleteVertexArrayOES(vertexArray);
+    }
+  }
+}
@@ -0,0 +1,464 @@
+// ---------------------------------------------------------------------
+//
+// CSS color parsing. Supports hex colors, named colors and the `rgb()`,
+// `hsl()`, `hwb()`, `lab()`, `lch()`, `oklab()` and `oklch()` color
+// functions. Custom properties (`var(--name)`) and `currentcolor` are
+// resolved from the computed style of an element.
+//
+// The conversion formulas are from the CSS Color Module Level 4 spec:
+// https://www.w3.org/TR/css-color-4/#color-conversion-code
+//
+// ---------------------------------------------------------------------
+
+/**
+ * CSS named colors as RGB hex strings.
+ *
+ * @type {Object<string, string>}
+ */
+const NAMED_COLORS = {
+  aliceblue: "f0f8ff",
+  antiquewhite: "faebd7",
+  aqua: "00ffff",
+  aquamarine: "7fffd4",
+  azure: "f0ffff",
+  beige: "f5f5dc",
+  bisque: "ffe4c4",
+  black: "000000",
+  blanchedalmond: "ffebcd",
+  blue: "0000ff",
+  blueviolet: "8a2be2",
+  brown: "a52a2a",
+  burlywood: "deb887",
+  cadetblue: "5f9ea0",
+  chartreuse: "7fff00",
+  chocolate: "d2691e",
+  coral: "ff7f50",
+  cornflowerblue: "6495ed",
+  cornsilk: "fff8dc",
+  crimson: "dc143c",
+  cyan: "00ffff",
+  darkblue: "00008b",
+  darkcyan: "008b8b",
+  darkgoldenrod: "b8860b",
+  darkgray: "a9a9a9",
+  darkgreen: "006400",
+  darkgrey: "a9a9a9",
+  darkkhaki: "bdb76b",
+  darkmagenta: "8b008b",
+  darkolivegreen: "556b2f",
+  darkorange: "ff8c00",
+  darkorchid: "9932cc",
+  darkred: "8b0000",
+  darksalmon: "e9967a",
+  darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b",
+  darkslategray: "2f4f4f",
+  darkslategrey: "2f4f4f",
+  darkturquoise: "00ced1",
+  darkviolet: "9400d3",
+  deeppink: "ff1493",
+  deepskyblue: "00bfff",
+  dimgray: "696969",
+  dimgrey: "696969",
+  dodgerblue: "1e90ff",
+  firebrick: "b22222",
+  floralwhite: "fffaf0",
+  forestgreen: "228b22",
+  fuchsia: "ff00ff",
+  gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff",
+  gold: "ffd700",
+  goldenrod: "daa520",
+  gray: "808080",
+  green: "008000",
+  greenyellow: "adff2f",
+  grey: "808080",
+  honeydew: "f0fff0",
+  hotpink: "ff69b4",
+  indianred: "cd5c5c",
+  indigo: "4b0082",
+  ivory: "fffff0",
+  khaki: "f0e68c",
+  lavender: "e6e6fa",
+  lavenderblush: "fff0f5",
+  lawngreen: "7cfc00",
+  lemonchiffon: "fffacd",
+  lightblue: "add8e6",
+  lightcoral: "f08080",
+  lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2",
+  lightgray: "d3d3d3",
+  lightgreen: "90ee90",
+  lightgrey: "d3d3d3",
+  lightpink: "ffb6c1",
+  lightsalmon: "ffa07a",
+  lightseagreen: "20b2aa",
+  lightskyblue: "87cefa",
+  lightslategray: "778899",
+  lightslategrey: "778899",
+  lightsteelblue: "b0c4de",
+  lightyellow: "ffffe0",
+  lime: "00ff00",
+  limegreen: "32cd32",
+  linen: "faf0e6",
+  magenta: "ff00ff",
+  maroon: "800000",
+  mediumaquamarine: "66cdaa",
+  mediumblue: "0000cd",
+  mediumorchid: "ba55d3",
+  mediumpurple: "9370db",
+  mediumseagreen: "3cb371",
+  mediumslateblue: "7b68ee",
+  mediumspringgreen: "00fa9a",
+  mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585",
+  midnightblue: "191970",
+  mintcream: "f5fffa",
+  mistyrose: "ffe4e1",
+  moccasin: "ffe4b5",
+  navajowhite: "ffdead",
+  navy: "000080",
+  oldlace: "fdf5e6",
+  olive: "808000",
+  olivedrab: "6b8e23",
+  orange: "ffa500",
+  orangered: "ff4500",
+  orchid: "da70d6",
+  palegoldenrod: "eee8aa",
+  palegreen: "98fb98",
+  paleturquoise: "afeeee",
+  palevioletred: "db7093",
+  papayawhip: "ffefd5",
+  peachpuff: "ffdab9",
+  peru: "cd853f",
+  pink: "ffc0cb",
+  plum: "dda0dd",
+  powderblue: "b0e0e6",
+  purple: "800080",
+  rebeccapurple: "663399",
+  red: "ff0000",
+  rosybrown: "bc8f8f",
+  royalblue: "4169e1",
+  saddlebrown: "8b4513",
+  salmon: "fa8072",
+  sandybrown: "f4a460",
+  seagreen: "2e8b57",
+  seashell: "fff5ee",
+  sienna: "a0522d",
+  silver: "c0c0c0",
+  skyblue: "87ceeb",
+  slateblue: "6a5acd",
+  slategray: "708090",
+  slategrey: "708090",
+  snow: "fffafa",
+  springgreen: "00ff7f",
+  steelblue: "4682b4",
+  tan: "d2b48c",
+  teal: "008080",
+  thistle: "d8bfd8",
+  tomato: "ff6347",
+  turquoise: "40e0d0",
+  violet: "ee82ee",
+  wheat: "f5deb3",
+  white: "ffffff",
+  whitesmoke: "f5f5f5",
+  yellow: "ffff00",
+  yellowgreen: "9acd32",
+};
+
+/**
+ * Multiplies a 3x3 matrix by a 3 component vector.
+ *
+ * @param {number[][]} m - matrix rows
+ * @param {number[]} v - vector
+ * @returns {number[]} resulting vector
+ */
+function multiply(m, v) {
+  return m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+/**
+ * Gamma encodes a linear-light sRGB color.
+ *
+ * @param {number[]} rgb - linear sRGB color
+ * @returns {number[]} gamma encoded sRGB color
+ */
+function linearToSRGB(rgb) {
+  return rgb.map((c) => {
+    const abs = Math.abs(c);
+    return abs > 0.0031308
+      ? Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055)
+      : 12.92 * c;
+  });
+}
+
+/**
+ * Converts an HSL color to sRGB.
+ *
+ * @param {number} h - hue in degrees
+ * @param {number} s - saturation between 0 and 1
+ * @param {number} l - lightness between 0 and 1
+ * @returns {number[]} sRGB color
+ */
+function hslToSRGB(h, s, l) {
+  h = ((h % 360) + 360) % 360;
+  const a = s * Math.min(l, 1 - l);
+  return [0, 8, 4].map((n) => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  });
+}
+
+/**
+ * Converts an HWB color to sRGB.
+ *
+ * @param {number} h - hue in degrees
+ * @param {number} w - whiteness between 0 and 1
+ * @param {number} b - blackness between 0 and 1
+ * @returns {number[]} sRGB color
+ */
+function hwbToSRGB(h, w, b) {
+  if (w + b >= 1) {
+    const gray = w / (w + b);
+    return [gray, gray, gray];
+  }
+  return hslToSRGB(h, 1, 0.5).map((c) => c * (1 - w - b) + w);
+}
+
+/**
+ * Converts a CIE Lab (D50) color to sRGB.
+ *
+ * @param {number} l - lightness between 0 and 100
+ * @param {number} a - a axis
+ * @param {number} b - b axis
+ * @returns {number[]} sRGB color
+ */
+function labToSRGB(l, a, b) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const fy = (l + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+
+  // Lab to XYZ relative to the D50 white point
+  const xyz = [
+    (fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa) * 0.96422,
+    l > kappa * epsilon ? fy ** 3 : l / kappa,
+    (fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa) * 0.82521,
+  ];
+
+  // Bradford chromatic adaptation from D50 to D65
+  const xyzD65 = multiply(
+    [
+      [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+      [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+      [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+    ],
+    xyz
+  );
+
+  // XYZ (D65) to linear sRGB
+  return linearToSRGB(
+    multiply(
+      [
+        [12831 / 3959, -329 / 214, -1974 / 3959],
+        [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+        [705 / 12673, -2585 / 12673, 705 / 667],
+      ],
+      xyzD65
+    )
+  );
+}
+
+/**
+ * Converts an Oklab color to sRGB.
+ *
+ * @param {number} l - lightness between 0 and 1
+ * @param {number} a - a axis
+ * @param {number} b - b axis
+ * @returns {number[]} sRGB color
+ * @see https://bottosson.github.io/posts/oklab
+ */
+function oklabToSRGB(l, a, b) {
+  const lms = multiply(
+    [
+      [1, 0.3963377774, 0.2158037573],
+      [1, -0.1055613458, -0.0638541728],
+      [1, -0.0894841775, -1.291485548],
+    ],
+    [l, a, b]
+  ).map((c) => c * c * c);
+
+  return linearToSRGB(
+    multiply(
+      [
+        [4.0767416621, -3.3077115913, 0.2309699292],
+        [-1.2684380046, 2.6097574011, -0.3413193965],
+        [-0.0041960863, -0.7034186147, 1.707614701],
+      ],
+      lms
+    )
+  );
+}
+
+/**
+ * Converts polar (LCh) coordinates to rectangular (Lab) ones.
+ *
+ * @param {number} l - lightness
+ * @param {number} c - chroma
+ * @param {number} h - hue in degrees
+ * @returns {[number, number, number]} lightness and the a and b axes
+ */
+function polarToRectangular(l, c, h) {
+  const radians = (h * Math.PI) / 180;
+  return [l, c * Math.cos(radians), c * Math.sin(radians)];
+}
+
+/**
+ * Parses a color function argument. Numbers and the `none` keyword are
+ * returned as is while percentages are scaled by `percentage`.
+ *
+ * @param {string} value - argument value
+ * @param {number} percentage - value that 100% maps to
+ * @returns {number} parsed value
+ */
+function parseNumber(value, percentage) {
+  if (value === "none") return 0;
+  const number = Number(value.replace(/%$/, ""));
+  if (value === "" || !isFinite(number)) throw new Error(value);
+  return value.endsWith("%") ? (number / 100) * percentage : number;
+}
+
+/**
+ * Parses a hue color function argument to degrees.
+ *
+ * @param {string} value - argument value
+ * @returns {number} hue in degrees
+ */
+function parseHue(value) {
+  const [, number, unit = "deg"] =
+    /^([^%]*?)(deg|grad|rad|turn)?$/.exec(value) ?? [];
+  /** @type {Object<string, number>} */
+  const factors = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+  return parseNumber(number, NaN) * factors[unit];
+}
+
+/**
+ * Color function converters. Each one takes the function arguments
+ * (without alpha) and returns an sRGB color.
+ *
+ * @type {Object<string, (args: string[]) => number[]>}
+ */
+const COLOR_FUNCTIONS = {
+  rgb: (args) => args.map((arg) => parseNumber(arg, 255) / 255),
+  hsl: ([h, s, l]) =>
+    hslToSRGB(
+      parseHue(h),
+      parseNumber(s, 100) / 100,
+      parseNumber(l, 100) / 100
+    ),
+  hwb: ([h, w, b]) =>
+    hwbToSRGB(
+      parseHue(h),
+      parseNumber(w, 100) / 100,
+      parseNumber(b, 100) / 100
+    ),
+  lab: ([l, a, b]) =>
+    labToSRGB(parseNumber(l, 100), parseNumber(a, 125), parseNumber(b, 125)),
+  lch: ([l, c, h]) =>
+    labToSRGB(
+      ...polarToRectangular(
+        parseNumber(l, 100),
+        parseNumber(c, 150),
+        parseHue(h)
+      )
+    ),
+  oklab: ([l, a, b]) =>
+    oklabToSRGB(parseNumber(l, 1), parseNumber(a, 0.4), parseNumber(b, 0.4)),
+  oklch: ([l, c, h]) =>
+    oklabToSRGB(
+      ...polarToRectangular(parseNumber(l, 1), parseNumber(c, 0.4), parseHue(h))
+    ),
+};
+
+/**
+ * Replaces `var()` references and the `currentcolor` keyword with their
+ * values from the computed style of the given element.
+ *
+ * @param {string} color - CSS color string
+ * @param {Element} [element] - element to resolve the values from
+ * @returns {string} resolved color string
+ */
+export function resolveVariables(color, element) {
+  if (!/var\(|currentcolor/i.test(color)) return color;
+  if (!element) throw new Error("no element to resolve the color from");
+
+  const style = getComputedStyle(element);
+  let resolved = color.replace(/currentcolor/gi, style.color);
+
+  // Resolve the innermost `var()` first so that fallback values can
+  // contain `var()` references
+  const pattern = /var\(\s*(--[\w-]+)\s*(?:,([^()]*(?:\([^()]*\))?[^()]*))?\)/;
+  for (let match; (match = pattern.exec(resolved)); ) {
+    const [reference, name, fallback = ""] = match;
+    const value = style.getPropertyValue(name).trim() || fallback.trim();
+    if (!value) throw new Error(`${name} is not defined`);
+    resolved = resolved.replace(reference, value);
+  }
+
+  return resolved;
+}
+
+/**
+ * Parses a CSS color string to sRGB color values.
+ *
+ * @param {string} color - CSS color string
+ * @param {Element} [element] - element to resolve `var()` references
+ * and `currentcolor` from
+ * @throws {TypeError} if the color is invalid or can't be resolved
+ * @returns {number[]} red, green, blue and alpha values between 0 and 1
+ */
+export function parseColor(color, element) {
+  try {
+    const value = resolveVariables(color, element).trim().toLowerCase();
+
+    if (value === "transparent") return [0, 0, 0, 0];
+
+    // Hex colors, in all of the #rgb, #rgba, #rrggbb and #rrggbbaa forms.
+    // The leading `#` is optional for backwards compatibility.
+    const hex = /^#?([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/.exec(
+      NAMED_COLORS[value] ?? value
+    )?.[1];
+    if (hex) {
+      const digits = hex.length < 6 ? hex.replace(/./g, "$&$&") : hex;
+      const channels = digits.match(/../g) ?? [];
+      return [...channels, "ff"].slice(0, 4).map((c) => parseInt(c, 16) / 255);
+    }
+
+    // Color functions, both the comma separated legacy syntax and the
+    // space separated one with an optional `/ alpha`
+    const [, name, args] = /^([a-z]+?)a?\((.*)\)$/.exec(value) ?? [];
+    const convert = COLOR_FUNCTIONS[name];
+    if (!convert) throw new Error(value);
+
+    const [channels, slashAlpha, ...rest] = args.split("/");
+    const [c1, c2, c3, commaAlpha, ...extra] = channels
+      .split(/\s*,\s*|\s+/)
+      .filter(Boolean);
+    const alpha = slashAlpha ?? commaAlpha;
+    if (rest.length || extra.length || !c3 || (slashAlpha && commaAlpha)) {
+      throw new Error(value);
+    }
+
+    const rgba = [
+      ...convert([c1, c2, c3]),
+      alpha === undefined ? 1 : parseNumber(alpha.trim(), 1),
+    ];
+    if (rgba.some(isNaN)) throw new Error(value);
+
+    // Out of gamut colors are clipped
+    return rgba.map((c) => Math.min(Math.max(c, 0), 1));
+  } catch {
+    throw new TypeError(`can't parse color "${color}"`);
+  }
+}
@@ -0,0 +1,79 @@
+// ---------------------------------------------------------------------
+//
+// Creation and set up of the WebGL contexts the gradients are rendered
+// with, either owned by a gradient or shared by a renderer.
+//
+// ---------------------------------------------------------------------
+
+import { vert, frag, webgl1Vert, webgl1Frag } from "./shaders";
+
+/**
+ * Gets a WebGL2 rendering context, or a WebGL 1 one if WebGL2 is not
+ * supported.
+ *
+ * @param {HTMLCanvasElement} canvas - canvas element
+ * @returns {WebGLRenderingContext | WebGL2RenderingContext | null} WebGL
+ * context, if one can be acquired
+ */
+export function createContext(canvas) {
+  const contextAttributes = {
+    antialias: true,
+    depth: false,
+    powerPreference: "low-power",
+  };
+  return /** @type {WebGLRenderingContext | WebGL2RenderingContext | null} */ (
+    canvas.getContext("webgl2", contextAttributes) ??
+      canvas.getContext("webgl", contextAttributes)
+  );
+}
+
+/**
+ * @param {WebGLRenderingContext | WebGL2RenderingContext} gl - WebGL
+ * context
+ * @returns {gl is WebGL2RenderingContext} whether it's a WebGL2 context
+ */
+export function isWebGL2(gl) {
+  // `WebGL2RenderingContext` is not defined in WebGL 1 only browsers
+  return (
+    typeof WebGL2RenderingContext !== "undefined" &&
+    gl instanceof WebGL2RenderingContext
+  );
+}
+
+/**
+ * Sets up the state of a WebGL context for rendering the gradient. The
+ * state is lost with the context, so it's set up again when a lost
+ * context is restored.
+ *
+ * @param {WebGLRenderingContext | WebGL2RenderingContext} gl - WebGL
+ * context
+ * @returns {boolean} whether the geometry needs 16-bit indices
+ */
+export function setupContext(gl) {
+  // Enable culling of back triangle faces
+  gl.enable(gl.CULL_FACE);
+
+  // The implementation defined dithering is often a no-op, the
+  // `dithering` option is applied in the fragment shader instead
+  gl.disable(gl.DITHER);
+
+  // Enabling depth testing hurts performance in my testing. It is
+  // disabled by default but I am just making the choice explicit for
+  // documentation
+  gl.disable(gl.DEPTH_TEST);
+
+  // WebGL 1 only supports 32-bit indices with an extension, otherwise
+  // the geometry is created with 16-bit indices
+  return !isWebGL2(gl) && !gl.getExtension("OES_element_index_uint");
+}
+
+/**
+ * Gets the shaders for the WebGL version of a context.
+ *
+ * @param {WebGLRenderingContext | WebGL2RenderingContext} gl - WebGL
+ * context
+ * @returns {[string, string]} vertex and fragment shader sources
+ */
+export function getShaders(gl) {
+  return isWebGL2(gl) ? [vert, frag] : [webgl1Vert, webgl1Frag];
+}
@@ -0,0 +1,117 @@
+// ---------------------------------------------------------------------
+//
+// CSS gradient approximation of a gradient, used as a fallback where
+// WebGL is not available. The vertex shader port of the software
+// renderer is sampled on a coarse grid and each sample becomes a
+// radial gradient, layered over the average color.
+//
+// ---------------------------------------------------------------------
+
+import { createShading, resolveOptions } from "./options";
+import { applyShading, createVertexShader } from "./software-renderer";
+
+/** @typedef {import("./options").WaveGradientOptions} WaveGradientOptions */
+
+/**
+ * Options for `toCSSGradient()`.
+ *
+ * @typedef {object} WaveGradientCSSOptions
+ * @property {number} [width] Width in pixels of the area the gradient
+ * is for. The waves depend on the size of the area.
+ * @property {number} [height] Height in pixels of the area the gradient
+ * is for.
+ * @property {Element} [element] Element to resolve CSS variables in the
+ * colors from.
+ */
+
+/**
+ * Number of columns and rows of the sampling grid.
+ */
+const GRID = [5, 4];
+
+/**
+ * Formats a number for CSS, with at most one decimal.
+ *
+ * @param {number} value - number
+ * @returns {string} formatted number
+ */
+function format(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Formats a color as the comma separated channels of `rgb()`.
+ *
+ * @param {number[]} color - sRGB color with channels between 0 and 1
+ * @returns {string} formatted channels
+ */
+function formatChannels(color) {
+  return color
+    .map((c) => Math.round(Math.min(Math.max(c, 0), 1) * 255))
+    .join(", ");
+}
+
+/**
+ * Computes a CSS approximation of a gradient frame. The result is a
+ * value for the `background` CSS property, made of a `radial-gradient`
+ * per sample over a solid color. Blend modes and blend spaces are
+ * applied to the sampled colors, so none of them is needed in CSS.
+ *
+ * @param {WaveGradientOptions} [options] - gradient options
+ * @param {WaveGradientCSSOptions} [cssOptions] - size of the area and
+ * the element to resolve CSS variables from
+ * @throws {TypeError} if an option is invalid
+ * @returns {string} CSS `background` value
+ */
+export function toCSSGradient(
+  options,
+  { width = 1920, height = 1080, element } = {}
+) {
+  const shadeVertex = createVertexShader(width, height, options, element);
+  const shading = createShading(resolveOptions(options).shading, element);
+  const [columns, rows] = GRID;
+  const radiusX = format(100 / (columns - 1));
+  const radiusY = format(100 / (rows - 1));
+
+  const layers = [];
+  const average = [0, 0, 0];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const { x, y, color } = shadeVertex(
+        (column / (columns - 1)) * 2 - 1,
+        1 - (row / (rows - 1)) * 2
+      );
+      applyShading(color, shading, x, y, width, height);
+
+      const rgb = formatChannels(color);
+      const position = `${format((x / width) * 100)}% ${format(
+        (y / height) * 100
+      )}%`;
+      layers.push(
+        `radial-gradient(${radiusX}% ${radiusY}% at ${position}, ` +
+          `rgb(${rgb}), rgba(${rgb}, 0))`
+      );
+      color.forEach((c, i) => (average[i] += c / (columns * rows)));
+    }
+  }
+
+  return [...layers, `rgb(${formatChannels(average)})`].join(", ");
+}
+
+/**
+ * Sets the `background` of the parent element of a canvas to the CSS
+ * approximation of the gradient, if the canvas has a parent element.
+ *
+ * @param {HTMLCanvasElement} canvas - canvas element
+ * @param {WaveGradientOptions} [options] - gradient options
+ * @throws {TypeError} if an option is invalid
+ */
+export function applyCSSFallback(canvas, options) {
+  const parent = canvas.parentElement;
+  if (!parent) return;
+  parent.style.background = toCSSGradient(options, {
+    width: canvas.clientWidth || undefined,
+    height: canvas.clientHeight || undefined,
+    element: canvas,
+  });
+}
@@ -0,0 +1,140 @@
+// ---------------------------------------------------------------------
+//
+// Shader hooks. Custom GLSL implementations of the hook functions and
+// declarations of custom uniforms are spliced into the shader sources
+// before they are compiled.
+//
+// ---------------------------------------------------------------------
+
+import { ClipSpace } from "./clip-space";
+
+/**
+ * Custom GLSL implementations of the shader hook functions. Each one is
+ * the source of the function, and of any helper it uses.
+ *
+ * @typedef {object} WaveGradientShaderHooks
+ * @property {string} [displacement] `vec3 displacement(vec3 position,
+ * float noise, float amplitude)`, displaces a vertex of the plane.
+ * @property {string} [layerColor] `vec3 layerColor(vec3 color, int index,
+ * float noise)`, color of a wave layer at a vertex.
+ * @property {string} [finalColor] `vec4 finalColor(vec4 color, vec2 st)`,
+ * final color of a fragment.
+ */
+
+/**
+ * Values of custom uniforms, by name. A number is a `float` and an array
+ * of 2 to 4 numbers a `vec2` to `vec4`.
+ *
+ * @typedef {Object<string, number | number[]>} WaveGradientUniforms
+ */
+
+/** @typedef {import("./clip-space").ClipSpaceUniformType} ClipSpaceUniformType */
+
+/**
+ * Shader stage (0 for vertex, 1 for fragment) and `#ifndef` guard of the
+ * default implementation of each hook.
+ *
+ * @type {Object<string, [number, string]>}
+ */
+const SHADER_HOOKS = {
+  displacement: [0, "HOOK_DISPLACEMENT"],
+  layerColor: [0, "HOOK_LAYER_COLOR"],
+  finalColor: [1, "HOOK_FINAL_COLOR"],
+};
+
+/**
+ * GLSL types of the uniform types.
+ *
+ * @type {Object<string, string>}
+ */
+const GLSL_TYPES = { "1f": "float", "2f": "vec2", "3f": "vec3", "4f": "vec4" };
+
+/**
+ * Gets the uniform type of a custom uniform value.
+ *
+ * @param {string} name - uniform name
+ * @param {number | number[]} value - uniform value
+ * @throws {TypeError} if the value is not a number or an array of 2 to
+ * 4 numbers
+ * @returns {ClipSpaceUniformType} uniform type
+ */
+export function getUniformType(name, value) {
+  const length = Array.isArray(value) ? value.length : 1;
+  const values = Array.isArray(value) ? value : [value];
+  if (
+    (Array.isArray(value) && (length < 2 || length > 4)) ||
+    !values.every((item) => typeof item === "number")
+  ) {
+    throw new TypeError(`invalid value for uniform "${name}"`);
+  }
+  return /** @type {ClipSpaceUniformType} */ (`${length}f`);
+}
+
+/**
+ * Creates the clip space uniforms of the `uniforms` option.
+ *
+ * @param {WaveGradientUniforms} declared - uniforms declared in the
+ * program, with their default values
+ * @param {WaveGradientUniforms} values - uniform values
+ * @throws {TypeError} if a uniform is not declared or its value doesn't
+ * match the declared type
+ * @returns {Object<string, { value: number | number[], type: ClipSpaceUniformType }>}
+ * clip space uniforms
+ */
+export function createCustomUniforms(declared, values) {
+  /** @type {Object<string, { value: number | number[], type: ClipSpaceUniformType }>} */
+  const uniforms = {};
+  for (const [name, value] of Object.entries({ ...declared, ...values })) {
+    if (!(name in declared)) throw new TypeError(`unknown uniform "${name}"`);
+    const type = getUniformType(name, value);
+    if (type !== getUniformType(name, declared[name])) {
+      throw new TypeError(`invalid value for uniform "${name}"`);
+    }
+    uniforms[name] = { value, type };
+  }
+  return uniforms;
+}
+
+/**
+ * Splices shader hooks and custom uniform declarations into the vertex
+ * and fragment shader sources. The uniforms are declared in both
+ * shaders, prefixed like the other uniforms (`tint` is `u_Tint`).
+ *
+ * @param {[string, string]} shaders - vertex and fragment shader sources
+ * @param {WaveGradientShaderHooks} hooks - custom hook implementations
+ * @param {WaveGradientUniforms} uniforms - custom uniform values
+ * @throws {TypeError} if a hook is unknown or a uniform value is invalid
+ * @returns {[string, string]} shader sources with the hooks
+ */
+export function applyShaderHooks(shaders, hooks, uniforms) {
+  // Uniforms shared by both shaders must have the same precision, the
+  // default float precision of the fragment shader is `mediump`
+  const declarations = Object.entries(uniforms)
+    .map(([name, value]) => {
+      const type = GLSL_TYPES[getUniformType(name, value)];
+      return `uniform mediump ${type} ${ClipSpace.prefixName(name, "u_")};\n`;
+    })
+    .join("");
+
+  // Declare the uniforms before the first hook, so that all the hooks
+  // can use them
+  /** @type {[string, string]} */
+  const sources = [
+    shaders[0].replace(/^#ifndef HOOK_/m, (match) => declarations + match),
+    shaders[1].replace(/^#ifndef HOOK_/m, (match) => declarations + match),
+  ];
+
+  for (const [name, source] of Object.entries(hooks)) {
+    if (source === undefined) continue;
+    if (!(name in SHADER_HOOKS)) {
+      throw new TypeError(`unknown shader hook "${name}"`);
+    }
+    const [stage, guard] = SHADER_HOOKS[name];
+    sources[stage] = sources[stage].replace(
+      `#ifndef ${guard}`,
+      () => `#define ${guard}\n${source}\n#ifndef ${guard}`
+    );
+  }
+
+  return sources;
+}
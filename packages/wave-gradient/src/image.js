@@ -0,0 +1,39 @@
+// ---------------------------------------------------------------------
+//
+// Helpers to encode rendered frames as image files with a 2D canvas.
+//
+// ---------------------------------------------------------------------
+
+/**
+ * Draws image data to a new 2D canvas.
+ *
+ * @param {ImageData} imageData - frame pixels
+ * @returns {HTMLCanvasElement} canvas with the frame
+ */
+export function createImageCanvas(imageData) {
+  const canvas = document.createElement("canvas");
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext("2d")?.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Encodes a canvas as an image file.
+ *
+ * @param {HTMLCanvasElement} canvas - canvas to encode
+ * @param {string} [type] - image MIME type, defaults to `image/png`
+ * @param {number} [quality] - image quality between 0 and 1 for lossy
+ * image types
+ * @returns {Promise<Blob>} image file
+ */
+export function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("can't encode image")),
+      type,
+      quality
+    );
+  });
+}
@@ -0,0 +1,37 @@
+// ---------------------------------------------------------------------
+//
+// Change listeners of media queries. Safari before 14 doesn't support
+// `addEventListener()` on `MediaQueryList`, only the deprecated
+// `addListener()` and `removeListener()` methods.
+//
+// ---------------------------------------------------------------------
+
+/**
+ * Adds a listener of the changes of a media query.
+ *
+ * @param {MediaQueryList | undefined} query - media query, if any
+ * @param {() => void} listener - called when the query result changes
+ */
+export function addChangeListener(query, listener) {
+  if (!query) return;
+  if ("addEventListener" in query) {
+    query.addEventListener("change", listener);
+  } else {
+    /** @type {MediaQueryList} */ (query).addListener(listener);
+  }
+}
+
+/**
+ * Removes a listener added with `addChangeListener()`.
+ *
+ * @param {MediaQueryList | undefined} query - media query, if any
+ * @param {() => void} listener - listener to remove
+ */
+export function removeChangeListener(query, listener) {
+  if (!query) return;
+  if ("removeEventListener" in query) {
+    query.removeEventListener("change", listener);
+  } else {
+    /** @type {MediaQueryList} */ (query).removeListener(listener);
+  }
+}
@@ -0,0 +1,681 @@
+// ---------------------------------------------------------------------
+//
+// Gradient options and the uniform values computed from them. Shared
+// by the WebGL and the software renderers.
+//
+// ---------------------------------------------------------------------
+
+import { parseColor } from "./color";
+
+/** @typedef {import("./quality").WaveGradientAdaptiveQuality} WaveGradientAdaptiveQuality */
+/** @typedef {import("./renderer").WaveGradientRenderer} WaveGradientRenderer */
+/** @typedef {import("./hooks").WaveGradientShaderHooks} WaveGradientShaderHooks */
+/** @typedef {import("./hooks").WaveGradientUniforms} WaveGradientUniforms */
+
+/**
+ * WaveGradient options.
+ *
+ * @typedef {object} WaveGradientOptions
+ * @property {boolean | WaveGradientAdaptiveQuality} [adaptiveQuality]
+ * Adjust the density, render scale and fps to the measured frame times.
+ * @property {number} [amplitude] Gradient waves amplitude.
+ * @property {WaveGradientBlendSpace} [blendSpace] Color space the
+ * layers are mixed in.
+ * @property {WaveGradientColor[]} [colors] Gradient color layers.
+ * Limited to 10. Accepts any CSS color, `var()` references are
+ * resolved from the canvas element.
+ * @property {number[]} [density] Level of detail of the plane geometry.
+ * @property {WaveGradientDithering} [dithering] Dither the colors to
+ * break up the banding of smooth gradients.
+ * @property {boolean} [fallback] Apply a CSS approximation of the
+ * gradient to the parent of the canvas if WebGL is not available.
+ * @property {number} [fps] Frames per second for rendering.
+ * @property {boolean | WaveGradientGrain} [grain] Film grain overlay,
+ * `false` disables it.
+ * @property {boolean | WaveGradientInteraction} [interaction] Displace
+ * the waves around the pointer.
+ * @property {number} [maxPixelRatio] Maximum pixel ratio of the drawing
+ * buffer, before `renderScale` is applied.
+ * @property {"auto" | "reduce" | "full"} [motion] Whether to animate the
+ * gradient. With `"reduce"` a single frame is rendered at `time`.
+ * `"auto"` follows the `prefers-reduced-motion` user preference.
+ * @property {boolean} [pauseWhenHidden] Suspend rendering while the
+ * canvas is out of the viewport or the page is hidden.
+ * @property {number | "auto"} [pixelRatio] Number of drawing buffer
+ * pixels per CSS pixel. `"auto"` matches the device pixels.
+ * @property {number} [renderScale] Scale of the drawing buffer, applied
+ * after the pixel ratio. Values below 1 render faster at a lower
+ * resolution.
+ * @property {WaveGradientRenderer | null} [renderer] Shared renderer to
+ * draw the gradient with, instead of creating a WebGL context for it.
+ * @property {number} [seed] Seed for the noise function.
+ * @property {boolean | WaveGradientShading} [shading] Darken the edges
+ * of the gradient, `false` disables the shading.
+ * @property {WaveGradientShaderHooks} [shaderHooks] Custom GLSL
+ * implementations of the shader hook functions.
+ * @property {number} [speed] Speed of the gradient waves.
+ * @property {number} [time] Initial time of the animation.
+ * @property {WaveGradientTimeSource} [timeSource] Where the animation
+ * time comes from.
+ * @property {WaveGradientUniforms} [uniforms] Values of custom uniforms
+ * used by the shader hooks.
+ * @property {boolean} [wireframe] Wireframe render mode.
+ * @property {boolean} [worker] Render in a Web Worker with an
+ * `OffscreenCanvas`, where supported.
+ */
+
+/**
+ * A gradient color layer. Either a CSS color string or an object with
+ * the color and the layer settings.
+ *
+ * @typedef {string | WaveGradientLayer} WaveGradientColor
+ */
+
+/**
+ * Gradient color layer settings. Other than `color`, the settings are
+ * ignored for the first (base) layer. Omitted wave settings default to
+ * values based on the index of the layer, like the original stripe
+ * gradient.
+ *
+ * @typedef {object} WaveGradientLayer
+ * @property {string} color CSS color of the layer.
+ * @property {WaveGradientBlendMode} [blend] Blend mode used to blend
+ * the layer over the layers below it.
+ * @property {number} [opacity] Opacity of the layer, multiplied by the
+ * alpha of the color.
+ * @property {number} [ceil] Noise value (0 to 1) at and above which the
+ * layer is fully opaque. Lower values make the layer edges sharper.
+ * @property {number} [floor] Noise value (0 to 1) at and below which
+ * the layer is fully transparent.
+ * @property {number} [flow] Speed of the horizontal flow of the layer.
+ * @property {number} [speed] Speed of the layer noise changes.
+ * @property {number | number[]} [frequency] Noise frequency of the
+ * layer. Either one value for both axes or `[x, y]`. Lower values make
+ * larger shapes.
+ * @property {number} [seed] Noise seed of the layer.
+ */
+
+/**
+ * @typedef {"normal" | "multiply" | "screen" | "overlay" | "darken" |
+ *   "lighten" | "color-dodge" | "color-burn" | "hard-light" |
+ *   "soft-light" | "difference" | "exclusion" | "add" | "subtract"
+ * } WaveGradientBlendMode
+ */
+
+/** @typedef {"srgb" | "linear" | "oklab"} WaveGradientBlendSpace */
+
+/**
+ * Shading of the edges of the gradient. Omitted settings default to
+ * the top darkening of the original stripe gradient.
+ *
+ * @typedef {object} WaveGradientShading
+ * @property {number} [angle] Angle of the shading from the edges in
+ * degrees, between -90 and 90. Positive angles shade the clockwise end
+ * of an edge more.
+ * @property {number} [strength] Strength of the shading.
+ * @property {number} [power] Falloff power. Higher values keep the
+ * shading closer to the edges.
+ * @property {string} [color] CSS tint color. The shading darkens the
+ * channels the tint lacks, black darkens all of them.
+ * @property {WaveGradientEdge | WaveGradientEdge[]} [edges] Shaded
+ * edges.
+ */
+
+/** @typedef {"top" | "right" | "bottom" | "left"} WaveGradientEdge */
+
+/** @typedef {"none" | "ordered" | "noise"} WaveGradientDithering */
+
+/**
+ * Film grain overlay settings.
+ *
+ * @typedef {object} WaveGradientGrain
+ * @property {number} [intensity] Intensity of the grain, the maximum
+ * change of the color channels.
+ * @property {number} [size] Size of the grain in CSS pixels.
+ * @property {boolean} [animated] Change the grain with every frame.
+ */
+
+/**
+ * Uniform values of the edge shading.
+ *
+ * @typedef {{
+ *   edges: number[],
+ *   slope: number,
+ *   strength: number,
+ *   power: number,
+ *   tint: number[],
+ * }} Shading
+ */
+
+/** @typedef {"bulge" | "ripple" | "swirl"} WaveGradientInteractionMode */
+
+/**
+ * Pointer interaction settings.
+ *
+ * @typedef {object} WaveGradientInteraction
+ * @property {WaveGradientInteractionMode} [mode] Effect around the
+ * pointer.
+ * @property {number} [radius] Radius of the effect in CSS pixels.
+ * @property {number} [strength] Strength of the effect.
+ * @property {number} [decay] Time constant in milliseconds of the
+ * effect fading in and out, and of the pointer movement wearing off.
+ */
+
+/**
+ * Uniform values of the pointer interaction, `mode` is 0 when the
+ * interaction is disabled.
+ *
+ * @typedef {{
+ *   mode: number,
+ *   radius: number,
+ *   strength: number,
+ *   decay: number,
+ * }} Interaction
+ */
+
+/**
+ * Source of the animation time. `"clock"` advances it with the frames,
+ * `"scroll"` maps the scroll progress of the document to it,
+ * `"manual"` only advances it with `tick()`, and a function returns it
+ * for every frame.
+ *
+ * @typedef {"clock" | "scroll" | "manual" | WaveGradientScrollTimeSource
+ *   | (() => number)
+ * } WaveGradientTimeSource
+ */
+
+/**
+ * Scroll time source settings.
+ *
+ * @typedef {object} WaveGradientScrollTimeSource
+ * @property {"scroll"} type Time source type.
+ * @property {Element | null} [container] Scrolled element, the document
+ * if omitted or `null`.
+ * @property {number[]} [range] Animation times in milliseconds at the
+ * top and the bottom of the scroll range.
+ */
+
+/**
+ * Resolved time source.
+ *
+ * @typedef {{
+ *   type: "clock" | "scroll" | "manual" | "function",
+ *   container: Element | null,
+ *   range: number[],
+ *   get: (() => number) | null,
+ * }} TimeSource
+ */
+
+/**
+ * Resolved film grain settings, `intensity` is 0 when the grain is
+ * disabled.
+ *
+ * @typedef {Required<WaveGradientGrain>} Grain
+ */
+
+/**
+ * Uniform values of a single wave layer.
+ *
+ * @typedef {{
+ *   noiseCeil: number,
+ *   noiseFloor: number,
+ *   noiseFlow: number,
+ *   noiseSeed: number,
+ *   noiseSpeed: number,
+ *   noiseFreq: number[],
+ *   color: number[],
+ *   opacity: number,
+ *   blendMode: number,
+ * }} WaveLayer
+ */
+
+/**
+ * Values of the uniforms that can be animated by a transition.
+ *
+ * @typedef {{
+ *   amplitude: number,
+ *   seed: number,
+ *   baseColor: number[],
+ *   waveLayers: WaveLayer[],
+ * }} WaveGradientState
+ */
+
+/**
+ * Maximum number of wave layers. Must match `i_MAX_COLOR_LAYERS` in
+ * the vertex shader. The base color is not counted as a wave layer.
+ */
+export const MAX_WAVE_LAYERS = 9;
+
+/**
+ * Blend modes. The index of each mode is the value used for it by the
+ * `blendMode()` GLSL function.
+ *
+ * @type {WaveGradientBlendMode[]}
+ */
+export const BLEND_MODES = [
+  "normal",
+  "multiply",
+  "screen",
+  "overlay",
+  "darken",
+  "lighten",
+  "color-dodge",
+  "color-burn",
+  "hard-light",
+  "soft-light",
+  "difference",
+  "exclusion",
+  "add",
+  "subtract",
+];
+
+/**
+ * Blend spaces. The index of each space is the value of the
+ * `u_BlendSpace` uniform.
+ *
+ * @type {WaveGradientBlendSpace[]}
+ */
+export const BLEND_SPACES = ["srgb", "linear", "oklab"];
+
+/**
+ * Edges of the gradient. The index of each edge is its component in the
+ * `u_ShadingEdges` uniform.
+ *
+ * @type {WaveGradientEdge[]}
+ */
+export const EDGES = ["top", "right", "bottom", "left"];
+
+/**
+ * Dithering modes. The index of each mode is the value of the
+ * `u_Dithering` uniform.
+ *
+ * @type {WaveGradientDithering[]}
+ */
+export const DITHERING_MODES = ["none", "ordered", "noise"];
+
+/**
+ * Pointer interaction modes. The index of each mode plus one is the
+ * value of the `u_InteractionMode` uniform, 0 disables the interaction.
+ *
+ * @type {WaveGradientInteractionMode[]}
+ */
+export const INTERACTION_MODES = ["bulge", "ripple", "swirl"];
+
+/**
+ * Default shading settings. They match the top darkening of the
+ * original stripe gradient, which only darkens the green channel
+ * (`#f0f` lacks it) along a line tilted by `atan(sin(-12))`.
+ *
+ * @type {Required<WaveGradientShading>}
+ */
+export const DEFAULT_SHADING = {
+  angle: (Math.atan(Math.sin(-12)) * 180) / Math.PI,
+  strength: 0.4,
+  power: 6,
+  color: "#f0f",
+  edges: "top",
+};
+
+/**
+ * Default film grain settings.
+ *
+ * @type {Grain}
+ */
+export const DEFAULT_GRAIN = {
+  intensity: 0.08,
+  size: 1,
+  animated: true,
+};
+
+/**
+ * Default animation times at the top and the bottom of the scroll range
+ * of the `"scroll"` time source.
+ */
+export const DEFAULT_SCROLL_RANGE = [0, 10000];
+
+/**
+ * Default pointer interaction settings.
+ *
+ * @type {Required<WaveGradientInteraction>}
+ */
+export const DEFAULT_INTERACTION = {
+  mode: "bulge",
+  radius: 240,
+  strength: 1,
+  decay: 600,
+};
+
+/**
+ * Mixes the default options into the given options.
+ *
+ * @param {WaveGradientOptions} [options] - gradient options
+ * @returns {Required<WaveGradientOptions>} options with defaults
+ */
+export function resolveOptions(options) {
+  const {
+    adaptiveQuality = false,
+    amplitude = 320,
+    blendSpace = "srgb",
+    colors = ["#ef008f", "#6ec3f4", "#7038ff", "#ffba27"],
+    density = [0.06, 0.16],
+    dithering = "none",
+    fallback = false,
+    fps = 24,
+    grain = false,
+    interaction = false,
+    maxPixelRatio = 2,
+    motion = "auto",
+    pauseWhenHidden = true,
+    pixelRatio = 1,
+    renderScale = 1,
+    renderer = null,
+    seed = 0,
+    shading = true,
+    shaderHooks = {},
+    speed = 1.25,
+    time = 0,
+    timeSource = "clock",
+    uniforms = {},
+    wireframe = false,
+    worker = false,
+  } = options ?? {};
+  return {
+    adaptiveQuality,
+    amplitude,
+    blendSpace,
+    colors,
+    density,
+    dithering,
+    fallback,
+    fps,
+    grain,
+    interaction,
+    maxPixelRatio,
+    motion,
+    pauseWhenHidden,
+    pixelRatio,
+    renderScale,
+    renderer,
+    seed,
+    shading,
+    shaderHooks,
+    speed,
+    time,
+    timeSource,
+    uniforms,
+    wireframe,
+    worker,
+  };
+}
+
+/**
+ * Options that only apply when the gradient is created.
+ */
+const CREATION_OPTIONS = /** @type {const} */ ([
+  "fallback",
+  "renderer",
+  "shaderHooks",
+  "worker",
+]);
+
+/**
+ * Checks that an update doesn't change the options that only apply when
+ * the gradient is created.
+ *
+ * @param {Omit<WaveGradientOptions, "time">} options - options to update
+ * @param {Required<Omit<WaveGradientOptions, "time">>} current - current
+ * options
+ * @throws {TypeError} if `fallback`, `renderer`, `shaderHooks` or
+ * `worker` is changed
+ */
+export function validateUpdate(options, current) {
+  for (const name of CREATION_OPTIONS) {
+    const value = options[name];
+    if (value !== undefined && value !== current[name]) {
+      throw new TypeError(`can't change the ${name} option after creation`);
+    }
+  }
+}
+
+/**
+ * Converts a gradient color to the object form.
+ *
+ * @param {WaveGradientColor} color - gradient color
+ * @returns {WaveGradientLayer} gradient color layer
+ */
+export function toLayer(color) {
+  return typeof color === "string" ? { color } : color;
+}
+
+/**
+ * Gets the `u_BlendSpace` uniform value of a blend space.
+ *
+ * @param {WaveGradientBlendSpace} blendSpace - blend space
+ * @throws {TypeError} if the blend space is unknown
+ * @returns {number} uniform value
+ */
+export function getBlendSpace(blendSpace) {
+  const index = BLEND_SPACES.indexOf(blendSpace);
+  if (index < 0) throw new TypeError(`unknown blend space "${blendSpace}"`);
+  return index;
+}
+
+/**
+ * Gets the `u_Dithering` uniform value of a dithering mode.
+ *
+ * @param {WaveGradientDithering} dithering - dithering mode
+ * @throws {TypeError} if the dithering mode is unknown
+ * @returns {number} uniform value
+ */
+export function getDithering(dithering) {
+  const index = DITHERING_MODES.indexOf(dithering);
+  if (index < 0) throw new TypeError(`unknown dithering "${dithering}"`);
+  return index;
+}
+
+/**
+ * Computes the wave layers uniform values from the gradient colors.
+ * The first color is the base color and is not a wave layer. The alpha
+ * of a layer color is multiplied by the layer opacity.
+ *
+ * For reference, the original stripe gradient preset values were:
+ *
+ * time:                   1253106
+ * shadow_power:           6 {canvas.y < 600 ? 5 : 6}
+ * global.noiseSpeed:      5e-6
+ * global.noiseFreq:       [14e-5, 29e-5]
+ * vertDeform.noiseFreq:   [3, 4]
+ * vertDeform.noiseSpeed:  10
+ * vertDeform.noiseFlow:   3
+ * vertDeform.noiseSeed:   5
+ * vertDeform.noiseAmp:    320
+ *
+ * for (i = 1; i < sectionColors.length; i++):
+ *   color:      sectionColors[i]
+ *   noiseCeil:  0.63 + (0.07 * i),
+ *   noiseFloor: 0.1,
+ *   noiseFlow:  6.5 + (0.3 * i),
+ *   noiseFreq:  [2 + (i / sectionColors.length),
+ *               3 + (i / sectionColors.length)]
+ *   noiseSeed:  seed + (10 * i),
+ *   noiseSpeed: 11 + (0.3 * i),
+ *
+ * @param {WaveGradientColor[]} colors - gradient colors
+ * @param {number} seed - noise seed
+ * @param {Element} [element] - element to resolve CSS variables from
+ * @throws {TypeError} if a color or blend mode is invalid
+ * @returns {WaveLayer[]} wave layers
+ */
+export function createWaveLayers(colors, seed, element) {
+  return colors.slice(1, MAX_WAVE_LAYERS + 1).map((layer, i, array) => {
+    const r = (i + 1) / array.length + 1;
+    const {
+      color,
+      blend = "normal",
+      opacity = 1,
+      ceil = 0.63 + 0.07 * (i + 1),
+      floor = 0.1,
+      flow = 6.5 + 0.3 * (i + 1),
+      speed = 11 + 0.3 * (i + 1),
+      frequency = [2 + r, 3 + r],
+      seed: layerSeed = seed + 10 * (i + 1),
+    } = toLayer(layer);
+    const [red, green, blue, alpha] = parseColor(color, element);
+    const blendMode = BLEND_MODES.indexOf(blend);
+    if (blendMode < 0) throw new TypeError(`unknown blend mode "${blend}"`);
+    return {
+      noiseCeil: ceil,
+      noiseFloor: floor,
+      noiseFlow: flow,
+      noiseSeed: layerSeed,
+      noiseSpeed: speed,
+      noiseFreq: Array.isArray(frequency) ? frequency : [frequency, frequency],
+      color: [red, green, blue],
+      opacity: alpha * opacity,
+      blendMode,
+    };
+  });
+}
+
+/**
+ * Computes the animatable uniform values for the given options.
+ *
+ * @param {{
+ *   amplitude: number,
+ *   colors: WaveGradientColor[],
+ *   seed: number
+ * }} options gradient options
+ * @param {Element} [element] - element to resolve CSS variables from
+ * @throws {TypeError} if a color or blend mode is invalid
+ * @returns {WaveGradientState} uniform values
+ */
+export function createState({ amplitude, colors, seed }, element) {
+  return {
+    amplitude,
+    seed,
+    baseColor: parseColor(toLayer(colors[0]).color, element).slice(0, 3),
+    waveLayers: createWaveLayers(colors, seed, element),
+  };
+}
+
+/**
+ * Computes the shading uniform values for the `shading` option.
+ *
+ * @param {boolean | WaveGradientShading} shading - option value
+ * @param {Element} [element] - element to resolve CSS variables from
+ * @throws {TypeError} if the angle, color or an edge is invalid
+ * @returns {Shading} uniform values
+ */
+export function createShading(shading, element) {
+  const {
+    angle = DEFAULT_SHADING.angle,
+    strength = DEFAULT_SHADING.strength,
+    power = DEFAULT_SHADING.power,
+    color = DEFAULT_SHADING.color,
+    edges = DEFAULT_SHADING.edges,
+  } = typeof shading === "object" ? shading : {};
+
+  if (!(Math.abs(angle) < 90)) {
+    throw new TypeError(`invalid shading angle "${angle}"`);
+  }
+  const shaded = Array.isArray(edges) ? edges : [edges];
+  for (const edge of shaded) {
+    if (!EDGES.includes(edge)) throw new TypeError(`unknown edge "${edge}"`);
+  }
+
+  return {
+    edges: EDGES.map((edge) => (shading && shaded.includes(edge) ? 1 : 0)),
+    slope: Math.tan((angle * Math.PI) / 180),
+    strength,
+    power,
+    tint: parseColor(color, element).slice(0, 3),
+  };
+}
+
+/**
+ * Resolves the `grain` option.
+ *
+ * @param {boolean | WaveGradientGrain} grain - option value
+ * @throws {TypeError} if the size is invalid
+ * @returns {Grain} grain settings
+ */
+export function createGrain(grain) {
+  const {
+    intensity = DEFAULT_GRAIN.intensity,
+    size = DEFAULT_GRAIN.size,
+    animated = DEFAULT_GRAIN.animated,
+  } = typeof grain === "object" ? grain : {};
+
+  if (!(size > 0)) throw new TypeError(`invalid grain size "${size}"`);
+
+  return { intensity: grain ? intensity : 0, size, animated };
+}
+
+/**
+ * Gets the `u_GrainSeed` uniform value at the given time. Animated
+ * grain changes every millisecond of the animation time, the seed wraps
+ * around to stay precise in the shader.
+ *
+ * @param {Grain} grain - grain settings
+ * @param {number} time - animation time
+ * @returns {number} uniform value
+ */
+export function getGrainSeed(grain, time) {
+  return grain.animated ? Math.floor(time) % 1024 : 0;
+}
+
+/**
+ * Computes the pointer interaction uniform values for the
+ * `interaction` option.
+ *
+ * @param {boolean | WaveGradientInteraction} interaction - option value
+ * @throws {TypeError} if the mode, radius or decay is invalid
+ * @returns {Interaction} uniform values
+ */
+export function createInteraction(interaction) {
+  const {
+    mode = DEFAULT_INTERACTION.mode,
+    radius = DEFAULT_INTERACTION.radius,
+    strength = DEFAULT_INTERACTION.strength,
+    decay = DEFAULT_INTERACTION.decay,
+  } = typeof interaction === "object" ? interaction : {};
+
+  const index = INTERACTION_MODES.indexOf(mode);
+  if (index < 0) throw new TypeError(`unknown interaction mode "${mode}"`);
+  if (!(radius > 0)) {
+    throw new TypeError(`invalid interaction radius "${radius}"`);
+  }
+  if (!(decay > 0)) {
+    throw new TypeError(`invalid interaction decay "${decay}"`);
+  }
+
+  return { mode: interaction ? index + 1 : 0, radius, strength, decay };
+}
+
+/**
+ * Resolves the `timeSource` option.
+ *
+ * @param {WaveGradientTimeSource} timeSource - option value
+ * @throws {TypeError} if the time source or the scroll range is invalid
+ * @returns {TimeSource} time source
+ */
+export function createTimeSource(timeSource) {
+  if (typeof timeSource === "function") {
+    return { type: "function", container: null, range: [], get: timeSource };
+  }
+
+  const {
+    type,
+    container = null,
+    range = DEFAULT_SCROLL_RANGE,
+  } = typeof timeSource === "object" ? timeSource : { type: timeSource };
+
+  if (!["clock", "scroll", "manual"].includes(type)) {
+    throw new TypeError(`unknown time source "${type}"`);
+  }
+  if (range.length !== 2 || !range.every(Number.isFinite)) {
+    throw new TypeError(`invalid scroll range "${range}"`);
+  }
+
+  return { type, container, range, get: null };
+}
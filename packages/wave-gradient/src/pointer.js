@@ -0,0 +1,81 @@
+// ---------------------------------------------------------------------
+//
+// Tracks the position of the pointer over a canvas for the
+// `interaction` option. The listeners are added to the window, since
+// gradients are often behind content that gets the pointer events.
+//
+// ---------------------------------------------------------------------
+
+/**
+ * Position of the pointer relative to a canvas.
+ *
+ * @typedef {object} WaveGradientPointer
+ * @property {number} x Horizontal position in CSS pixels from the left
+ * edge of the canvas.
+ * @property {number} y Vertical position in CSS pixels from the top
+ * edge of the canvas.
+ * @property {boolean} active Whether the pointer is over the canvas.
+ * Touch and pen pointers are only active while they touch the screen.
+ */
+
+/**
+ * Pointer observer, to disconnect when done.
+ *
+ * @typedef {{ disconnect: () => void }} PointerObserver
+ */
+
+/**
+ * Observes the position of the primary pointer relative to a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas - canvas element
+ * @param {(pointer: WaveGradientPointer) => void} callback - called
+ * with the new position of the pointer
+ * @returns {PointerObserver} observer, to disconnect when done
+ */
+export function observePointer(canvas, callback) {
+  /**
+   * @param {PointerEvent} event - pointer event
+   * @param {boolean} active - whether the pointer can be active
+   */
+  const update = (event, active) => {
+    if (!event.isPrimary) return;
+    const { left, top, width, height } = canvas.getBoundingClientRect();
+    const x = event.clientX - left;
+    const y = event.clientY - top;
+    const inside = x >= 0 && y >= 0 && x <= width && y <= height;
+    callback({ x, y, active: active && inside });
+  };
+
+  /** @param {PointerEvent} event - pointer event */
+  const onMove = (event) => {
+    update(event, true);
+  };
+
+  /** @param {PointerEvent} event - pointer event */
+  const onRelease = (event) => {
+    // Mice still hover after a click
+    if (event.pointerType !== "mouse") update(event, false);
+  };
+
+  /** @param {PointerEvent} event - pointer event */
+  const onOut = (event) => {
+    // The pointer left the window
+    if (!event.relatedTarget) update(event, false);
+  };
+
+  window.addEventListener("pointerdown", onMove);
+  window.addEventListener("pointermove", onMove);
+  window.addEventListener("pointerup", onRelease);
+  window.addEventListener("pointercancel", onRelease);
+  window.addEventListener("pointerout", onOut);
+
+  return {
+    disconnect() {
+      window.removeEventListener("pointerdown", onMove);
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onRelease);
+      window.removeEventListener("pointercancel", onRelease);
+      window.removeEventListener("pointerout", onOut);
+    },
+  };
+}
@@ -0,0 +1,331 @@
+// ---------------------------------------------------------------------
+//
+// Adaptive quality controller. It measures the frame times of the
+// render loop, and the GPU time of the draw calls where timer queries
+// are supported, and steps the quality tier down when frames are too
+// slow or up when there is headroom.
+//
+// ---------------------------------------------------------------------
+
+/**
+ * Adaptive quality settings.
+ *
+ * @typedef {object} WaveGradientAdaptiveQuality
+ * @property {number} [minTier] Lowest quality tier, from `-2`.
+ * @property {number} [maxTier] Highest quality tier, up to `2`.
+ * @property {number} [gpuBudget] GPU time in milliseconds a frame may
+ * take before the quality is lowered. Only used where GPU timer
+ * queries are supported.
+ */
+
+/**
+ * Multipliers of the `density`, `renderScale` and `fps` options.
+ *
+ * @typedef {{ density: number, renderScale: number, fps: number }} QualitySettings
+ */
+
+/**
+ * Settings of the quality tiers, from the lowest tier (-2) to the
+ * highest (2). Tier 0 renders with the options as they are.
+ *
+ * @type {QualitySettings[]}
+ */
+const QUALITY_TIERS = [
+  { density: 0.5, renderScale: 0.5, fps: 0.5 },
+  { density: 0.75, renderScale: 0.75, fps: 0.75 },
+  { density: 1, renderScale: 1, fps: 1 },
+  { density: 1.5, renderScale: 1, fps: 1.25 },
+  { density: 2, renderScale: 1, fps: 1.5 },
+];
+
+/**
+ * Number of animation frames measured before deciding on a tier.
+ */
+const WINDOW_SIZE = 60;
+
+/**
+ * Share of slow frames in a window above which the quality is lowered,
+ * and below which it can be raised. The gap between them avoids
+ * oscillating between two tiers.
+ */
+const SLOW_FRAMES_HIGH = 0.15;
+const SLOW_FRAMES_LOW = 0.03;
+
+/**
+ * Animation frames longer than this are not measured, e.g. when the
+ * page was in the background.
+ */
+const MAX_FRAME_TIME = 250;
+
+/**
+ * Gets the settings of a quality tier.
+ *
+ * @param {number} tier - quality tier, between -2 and 2
+ * @returns {QualitySettings} multipliers of the options
+ */
+export function getQualitySettings(tier) {
+  return QUALITY_TIERS[tier + 2];
+}
+
+/**
+ * Measures frame times and picks a quality tier.
+ */
+export class QualityController {
+  /**
+   * @param {WebGLRenderingContext | WebGL2RenderingContext} gl - WebGL
+   * context
+   * @param {WaveGradientAdaptiveQuality} [options] - tier bounds and GPU
+   * time budget
+   */
+  constructor(gl, { minTier = -2, maxTier = 2, gpuBudget = 4 } = {}) {
+    /** @private */
+    this.gl = gl;
+
+    /** @private */
+    this.minTier = Math.max(Math.round(minTier), -2);
+
+    /** @private */
+    this.maxTier = Math.min(Math.round(maxTier), 2);
+
+    /** @private */
+    this.gpuBudget = gpuBudget;
+
+    /** @private */
+    this.currentTier = Math.min(Math.max(0, this.minTier), this.maxTier);
+
+    /**
+     * `EXT_disjoint_timer_query_webgl2` extension, if supported.
+     *
+     * @private
+     * @type {{ TIME_ELAPSED_EXT: number, GPU_DISJOINT_EXT: number } | null}
+     */
+    this.timerExtension = null;
+
+    /**
+     * GPU timer query of a frame, until its result is available.
+     *
+     * @private
+     * @type {WebGLQuery | null}
+     */
+    this.query = null;
+
+    /** @private */
+    this.timing = false;
+
+    /**
+     * Intervals between the measured animation frames.
+     *
+     * @private
+     * @type {number[]}
+     */
+    this.frameTimes = [];
+
+    /**
+     * GPU times of the measured draw calls.
+     *
+     * @private
+     * @type {number[]}
+     */
+    this.gpuTimes = [];
+
+    /**
+     * @private
+     * @type {number | undefined}
+     */
+    this.lastFrameTime = undefined;
+
+    /**
+     * Number of windows in a row that had headroom.
+     *
+     * @private
+     */
+    this.fastWindows = 0;
+
+    /**
+     * Number of windows with headroom in a row needed to raise the tier.
+     * It doubles every time the tier is lowered, so the tier settles
+     * instead of going up and down.
+     *
+     * @private
+     */
+    this.windowsToRaise = 2;
+
+    this.reset();
+  }
+
+  /**
+   * Current quality tier.
+   *
+   * @type {number}
+   */
+  get tier() {
+    return this.currentTier;
+  }
+
+  /**
+   * Settings of the current tier.
+   *
+   * @type {QualitySettings}
+   */
+  get settings() {
+    return getQualitySettings(this.currentTier);
+  }
+
+  /**
+   * Records an animation frame and updates the tier at the end of each
+   * window of measured frames.
+   *
+   * @param {number} now - animation frame timestamp
+   * @returns {boolean} whether the tier changed
+   */
+  update(now) {
+    this.collectQuery();
+
+    const { lastFrameTime } = this;
+    this.lastFrameTime = now;
+    if (lastFrameTime === undefined) return false;
+
+    const frameTime = now - lastFrameTime;
+    if (frameTime > MAX_FRAME_TIME) {
+      this.frameTimes = [];
+      this.gpuTimes = [];
+      return false;
+    }
+
+    this.frameTimes.push(frameTime);
+    if (this.frameTimes.length < WINDOW_SIZE) return false;
+
+    const tier = this.currentTier + this.evaluateWindow();
+    this.frameTimes = [];
+    this.gpuTimes = [];
+
+    if (
+      tier < this.minTier ||
+      tier > this.maxTier ||
+      tier === this.currentTier
+    ) {
+      return false;
+    }
+    if (tier < this.currentTier) {
+      this.windowsToRaise = Math.min(this.windowsToRaise * 2, 64);
+    }
+    this.currentTier = tier;
+    return true;
+  }
+
+  /**
+   * Starts measuring the GPU time of a frame, if timer queries are
+   * supported and no other query is pending.
+   */
+  beginFrame() {
+    const { gl, timerExtension } = this;
+    if (!timerExtension || this.query || !("createQuery" in gl)) return;
+
+    this.query = gl.createQuery();
+    if (!this.query) return;
+    gl.beginQuery(timerExtension.TIME_ELAPSED_EXT, this.query);
+    this.timing = true;
+  }
+
+  /**
+   * Ends measuring the GPU time of a frame.
+   */
+  endFrame() {
+    const { gl, timerExtension } = this;
+    if (!timerExtension || !this.timing || !("endQuery" in gl)) return;
+
+    gl.endQuery(timerExtension.TIME_ELAPSED_EXT);
+    this.timing = false;
+  }
+
+  /**
+   * Discards the measurements, e.g. when the render loop starts again or
+   * the tier changed. The WebGL state is set up again, since it's lost
+   * with the context.
+   */
+  reset() {
+    this.delete();
+    this.frameTimes = [];
+    this.gpuTimes = [];
+    this.lastFrameTime = undefined;
+    this.timerExtension = this.gl.getExtension(
+      "EXT_disjoint_timer_query_webgl2"
+    );
+  }
+
+  /**
+   * Deletes the pending GPU timer query, if any.
+   */
+  delete() {
+    const { gl } = this;
+    if (this.query && "deleteQuery" in gl) gl.deleteQuery(this.query);
+    this.query = null;
+    this.timing = false;
+  }
+
+  /**
+   * Reads the result of the pending GPU timer query once available.
+   * Results are discarded if the GPU timer was disjoint, e.g. because
+   * of a power state change.
+   *
+   * @private
+   */
+  collectQuery() {
+    const { gl, query, timerExtension } = this;
+    if (!query || !timerExtension || this.timing || !("createQuery" in gl)) {
+      return;
+    }
+
+    if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) return;
+    if (!gl.getParameter(timerExtension.GPU_DISJOINT_EXT)) {
+      // Nanoseconds to milliseconds
+      this.gpuTimes.push(gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6);
+    }
+    this.delete();
+  }
+
+  /**
+   * Decides whether the measured window of frames calls for a lower or
+   * a higher tier.
+   *
+   * @private
+   * @returns {number} -1 to lower the tier, 1 to raise it, 0 to keep it
+   */
+  evaluateWindow() {
+    const { frameTimes, gpuTimes, gpuBudget } = this;
+
+    // The fastest frames are assumed to match the display refresh rate,
+    // and frames that take half as long again are considered slow
+    const sorted = [...frameTimes].sort((a, b) => a - b);
+    const refreshInterval = sorted[Math.floor(sorted.length * 0.1)];
+    const slowFrames =
+      frameTimes.filter((time) => time > refreshInterval * 1.5).length /
+      frameTimes.length;
+    const gpuTime = gpuTimes.length
+      ? gpuTimes.reduce((sum, time) => sum + time, 0) / gpuTimes.length
+      : undefined;
+
+    if (
+      slowFrames > SLOW_FRAMES_HIGH ||
+      (gpuTime !== undefined && gpuTime > gpuBudget)
+    ) {
+      this.fastWindows = 0;
+      return -1;
+    }
+
+    if (
+      slowFrames < SLOW_FRAMES_LOW &&
+      (gpuTime === undefined || gpuTime < gpuBudget / 2)
+    ) {
+      this.fastWindows++;
+      if (this.fastWindows >= this.windowsToRaise) {
+        this.fastWindows = 0;
+        return 1;
+      }
+      return 0;
+    }
+
+    this.fastWindows = 0;
+    return 0;
+  }
+}
@@ -0,0 +1,170 @@
+// ---------------------------------------------------------------------
+//
+// Renderer shared by several gradients. It owns a single WebGL context
+// on a canvas that is not in the document and the compiled program.
+// The gradients draw their frames with it, then copy them to their own
+// canvases, so a page can show many gradients with one context.
+//
+// ---------------------------------------------------------------------
+
+import { ClipSpace } from "./clip-space";
+import { createContext, getShaders, setupContext } from "./context";
+import { applyShaderHooks, getUniformType } from "./hooks";
+
+/** @typedef {import("./hooks").WaveGradientShaderHooks} WaveGradientShaderHooks */
+/** @typedef {import("./hooks").WaveGradientUniforms} WaveGradientUniforms */
+
+/**
+ * Options of the shared renderer.
+ *
+ * @typedef {object} WaveGradientRendererOptions
+ * @property {WaveGradientShaderHooks} [shaderHooks] Custom GLSL
+ * implementations of the shader hook functions, used by all the
+ * gradients.
+ * @property {WaveGradientUniforms} [uniforms] Custom uniforms used by
+ * the shader hooks, with their default values.
+ */
+
+/**
+ * WebGL context and program shared by the gradients created with the
+ * `renderer` option.
+ */
+export class WaveGradientRenderer {
+  /**
+   * Creates the shared WebGL context and compiles the program.
+   *
+   * @param {WaveGradientRendererOptions} [options] - shader hooks and
+   * custom uniforms
+   * @throws {TypeError} if a shader hook or uniform is invalid
+   * @throws {Error} if it can't acquire a WebGL context
+   */
+  constructor({ shaderHooks = {}, uniforms = {} } = {}) {
+    // Validate the uniforms before creating the context
+    for (const [name, value] of Object.entries(uniforms)) {
+      getUniformType(name, value);
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = 1;
+    canvas.height = 1;
+
+    const gl = createContext(canvas);
+    if (!gl) throw new Error("can't get WebGL context");
+    setupContext(gl);
+
+    /**
+     * Canvas the frames are drawn on before they are copied to the
+     * canvases of the gradients.
+     *
+     * @private
+     * @type {HTMLCanvasElement}
+     */
+    this.canvas = canvas;
+
+    /**
+     * Shared WebGL context.
+     *
+     * @type {WebGLRenderingContext | WebGL2RenderingContext}
+     */
+    this.gl = gl;
+
+    /**
+     * Custom uniforms declared in the shared program, with their default
+     * values. The gradients can set their own values.
+     *
+     * @type {WaveGradientUniforms}
+     */
+    this.uniforms = uniforms;
+
+    /**
+     * Clip space that owns the shared program. The gradients have their
+     * own clip spaces, with their own buffers and uniform values.
+     *
+     * @type {ClipSpace}
+     */
+    this.clipSpace = new ClipSpace({
+      gl,
+      shaders: applyShaderHooks(getShaders(gl), shaderHooks, uniforms),
+      attributes: {},
+    });
+
+    /**
+     * `webglcontextlost` event listener.
+     *
+     * @private
+     * @type {(event: Event) => void}
+     */
+    this.onContextLost = (event) => {
+      // Signal that the context can be restored
+      event.preventDefault();
+    };
+
+    /**
+     * `webglcontextrestored` event listener. Added before the listeners
+     * of the gradients, so the program is restored before their clip
+     * spaces.
+     *
+     * @private
+     * @type {() => void}
+     */
+    this.onContextRestored = () => {
+      setupContext(gl);
+      this.clipSpace.restore();
+    };
+
+    canvas.addEventListener("webglcontextlost", this.onContextLost);
+    canvas.addEventListener("webglcontextrestored", this.onContextRestored);
+  }
+
+  /**
+   * Grows the shared canvas to fit a frame of the given size, if needed.
+   * It's never shrunk, since resizing clears the drawing buffer.
+   *
+   * @param {number} width - frame width
+   * @param {number} height - frame height
+   */
+  reserve(width, height) {
+    const { canvas } = this;
+    if (width > canvas.width) canvas.width = width;
+    if (height > canvas.height) canvas.height = height;
+  }
+
+  /**
+   * Copies a frame just drawn at the bottom left of the shared canvas,
+   * where the viewport origin is, to the canvas of a gradient.
+   *
+   * @param {CanvasRenderingContext2D} context - 2D context of the
+   * gradient canvas
+   */
+  present(context) {
+    const { canvas } = this;
+    const { width, height } = context.canvas;
+    context.globalCompositeOperation = "copy";
+    context.drawImage(
+      canvas,
+      0,
+      canvas.height - height,
+      width,
+      height,
+      0,
+      0,
+      width,
+      height
+    );
+  }
+
+  /**
+   * Frees the shared WebGL context. The gradients using the renderer
+   * must be destroyed first.
+   */
+  destroy() {
+    const { canvas } = this;
+    canvas.removeEventListener("webglcontextlost", this.onContextLost);
+    canvas.removeEventListener("webglcontextrestored", this.onContextRestored);
+    this.clipSpace.delete();
+
+    // Release the context right away instead of waiting for it to be
+    // garbage collected, browsers limit the number of live contexts
+    this.gl.getExtension("WEBGL_lose_context")?.loseContext();
+  }
+}
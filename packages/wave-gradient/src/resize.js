@@ -0,0 +1,72 @@
+// ---------------------------------------------------------------------
+//
+// Measures the size a canvas is displayed at, in CSS and in device
+// pixels, and observes its changes with a `ResizeObserver`.
+//
+// ---------------------------------------------------------------------
+
+/**
+ * Size a canvas is displayed at.
+ *
+ * @typedef {object} WaveGradientSize
+ * @property {number} width Width in CSS pixels.
+ * @property {number} height Height in CSS pixels.
+ * @property {number} deviceWidth Width in device pixels.
+ * @property {number} deviceHeight Height in device pixels.
+ */
+
+/**
+ * Measures the size a canvas is displayed at. Offscreen canvases have
+ * no layout, so their drawing buffer size is used instead.
+ *
+ * @param {HTMLCanvasElement} canvas - canvas element
+ * @returns {WaveGradientSize} display size
+ */
+export function measureSize(canvas) {
+  const {
+    clientWidth: width = canvas.width,
+    clientHeight: height = canvas.height,
+  } = canvas;
+  const ratio = globalThis.devicePixelRatio ?? 1;
+  return {
+    width,
+    height,
+    deviceWidth: Math.round(width * ratio),
+    deviceHeight: Math.round(height * ratio),
+  };
+}
+
+/**
+ * Observes the size a canvas is displayed at. The exact size in device
+ * pixels is observed where `devicePixelContentBoxSize` is supported,
+ * otherwise it's computed from `devicePixelRatio`. The callback is
+ * called once the observation starts, then on every change.
+ *
+ * @param {HTMLCanvasElement} canvas - canvas element
+ * @param {(size: WaveGradientSize) => void} callback - called with the
+ * new display size
+ * @returns {ResizeObserver} observer, to disconnect when done
+ */
+export function observeSize(canvas, callback) {
+  const observer = new ResizeObserver((entries) => {
+    const entry = entries[entries.length - 1];
+    const { width, height } = entry.contentRect;
+    const ratio = globalThis.devicePixelRatio ?? 1;
+    const [deviceBox] = entry.devicePixelContentBoxSize ?? [];
+    callback({
+      width,
+      height,
+      deviceWidth: deviceBox?.inlineSize ?? Math.round(width * ratio),
+      deviceHeight: deviceBox?.blockSize ?? Math.round(height * ratio),
+    });
+  });
+
+  try {
+    observer.observe(canvas, { box: "device-pixel-content-box" });
+  } catch {
+    // The `device-pixel-content-box` box is not supported everywhere
+    observer.observe(canvas);
+  }
+
+  return observer;
+}
@@ -0,0 +1,47 @@
+// ---------------------------------------------------------------------
+//
+// Tracks the vertical scroll progress of a container or the document
+// for the `"scroll"` time source.
+//
+// ---------------------------------------------------------------------
+
+/**
+ * Scroll observer, to disconnect when done.
+ *
+ * @typedef {{ disconnect: () => void }} ScrollObserver
+ */
+
+/**
+ * Observes the vertical scroll progress of an element, from 0 at the
+ * top to 1 at the bottom. The callback is called once the observation
+ * starts, then on every scroll and window resize.
+ *
+ * @param {Element | null} container - scrolled element, `null` for the
+ * document
+ * @param {(progress: number) => void} callback - called with the new
+ * scroll progress
+ * @returns {ScrollObserver} observer, to disconnect when done
+ */
+export function observeScroll(container, callback) {
+  const element = container ?? document.documentElement;
+
+  // The document scroll events are fired on the window
+  const target = container ?? window;
+
+  const update = () => {
+    const max = element.scrollHeight - element.clientHeight;
+    const progress = max > 0 ? element.scrollTop / max : 0;
+    callback(Math.min(Math.max(progress, 0), 1));
+  };
+
+  target.addEventListener("scroll", update, { passive: true });
+  window.addEventListener("resize", update);
+  update();
+
+  return {
+    disconnect() {
+      target.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    },
+  };
+}
@@ -3,9 +3,43 @@
  */
 
 export const vert = `#version 300 es
-vec3 o(vec3 i,vec3 c,float r){return c*r+i*(1.-r);}vec3 o(vec3 n){return n-floor(n*(1./289.))*289.;}vec4 o(vec4 n){return n-floor(n*(1./289.))*289.;}vec4 e(vec4 n){return o((n*34.+1.)*n);}vec4 v(vec4 y){return 1.79284291400159-.85373472095314*y;}float t(vec3 l){const vec2 s=vec2(1./6.,1./3.);const vec4 u=vec4(0.,.5,1.,2.);vec3 a=floor(l+dot(l,s.yyy)),x=l-a+dot(a,s.xxx),d=step(x.yzx,x.xyz),f=1.-d,z=min(d.xyz,f.zxy),w=max(d.xyz,f.zxy),m=x-z+s.xxx,C=x-w+s.yyy,p=x-u.yyy;a=o(a);vec4 P=e(e(e(a.z+vec4(0.,z.z,w.z,1.))+a.y+vec4(0.,z.y,w.y,1.))+a.x+vec4(0.,z.x,w.x,1.));vec3 S=.142857142857*u.wyz-u.xzx;vec4 L=P-49.*floor(P*S.z*S.z),F=floor(L*S.z),R=floor(L-7.*F),n=F*S.x+S.yyyy,W=R*S.x+S.yyyy,b=1.-abs(n)-abs(W),G=vec4(n.xy,W.xy),q=vec4(n.zw,W.zw),h=floor(G)*2.+1.,g=floor(q)*2.+1.,O=-step(b,vec4(0.)),B=G.xzyw+h.xzyw*O.xxyy,A=q.xzyw+g.xzyw*O.zzww;vec3 E=vec3(B.xy,b.x),Z=vec3(B.zw,b.y),Y=vec3(A.xy,b.z),X=vec3(A.zw,b.w);vec4 V=v(vec4(dot(E,E),dot(Z,Z),dot(Y,Y),dot(X,X)));E*=V.x;Z*=V.y;Y*=V.z;X*=V.w;vec4 U=max(.6-vec4(dot(x,x),dot(m,m),dot(C,C),dot(p,p)),0.);U=U*U;return 42.*dot(U*U,vec4(dot(E,x),dot(Z,m),dot(Y,C),dot(X,p)));}uniform mediump vec2 u_Resolution;uniform float u_Amplitude,u_Realtime,u_Seed;uniform vec3 u_BaseColor;uniform int u_LayerCount;uniform struct WaveLayers{float noiseCeil;float noiseFloor;float noiseFlow;float noiseSeed;float noiseSpeed;vec2 noiseFreq;vec3 color;} u_WaveLayers[9];in vec3 a_Position;out vec3 v_Color;void main(){float T=u_Realtime*5e-6;vec2 Q=vec2(.00014,.00029),N=u_Resolution*a_Position.xy*Q;float M=u_Amplitude*(2./u_Resolution.y),K=t(vec3(N.x*3.+T*3.,N.y*4.,T*10.+u_Seed));K*=1.-pow(abs(a_Position.y),2.);K=max(0.,K);gl_Position=vec4(a_Position.x,a_Position.y+K*M,a_Position.z,1.);v_Color=u_BaseColor;for(int a=0;a<u_LayerCount;a++){WaveLayers J=u_WaveLayers[a];float K=t(vec3(N.x*J.noiseFreq.x+T*J.noiseFlow,N.y*J.noiseFreq.y,T*J.noiseSpeed+J.noiseSeed));K=K/2.+.5;K=smoothstep(J.noiseFloor,J.noiseCeil,K);v_Color=o(v_Color,J.color,pow(K,4.));}}
+vec3 o(vec3 i,vec3 c,float r){return c*r+i*(1.-r);}vec3 D(vec3 i,vec3 c){return 1.-(1.-i)*(1.-c);}vec3 H(vec3 i,vec3 c){return mix(2.*i*c,D(i,2.*c-1.),step(.5,i));}vec3 I(vec3 i,vec3 c){return min(i/max(1.-c,1e-5),1.);}vec3 j(vec3 i,vec3 c){return max(1.-(1.-i)/max(c,1e-5),0.);}vec3 k(vec3 i,vec3 c){return mix(2.*i*c+i*i*(1.-2.*c),sqrt(i)*(2.*c-1.)+2.*i*(1.-c),step(.5,c));}vec3 o(int n,vec3 i,vec3 c){if(n==1)return i*c;if(n==2)return D(i,c);if(n==3)return H(i,c);if(n==4)return min(i,c);if(n==5)return max(i,c);if(n==6)return I(i,c);if(n==7)return j(i,c);if(n==8)return H(c,i);if(n==9)return k(i,c);if(n==10)return abs(i-c);if(n==11)return i+c-2.*i*c;if(n==12)return min(i+c,1.);if(n==13)return max(i-c,0.);return c;}vec3 e(vec3 n){return mix(n/12.92,pow((n+.055)/1.055,vec3(2.4)),step(.04045,n));}vec3 v(vec3 n){n=clamp(n,0.,1.);return mix(n*12.92,1.055*pow(n,vec3(1./2.4))-.055,step(.0031308,n));}vec3 H(vec3 n){vec3 i=n*mat3(.4122214708,.5363325363,.0514459929,.2119034982,.6806995451,.1073969566,.0883024619,.2817188376,.6299787005);return pow(max(i,0.),vec3(1./3.))*mat3(.2104542553,.793617785,-.0040720468,1.9779984951,-2.428592205,.4505937099,.0259040371,.7827717662,-.808675766);}vec3 I(vec3 n){vec3 i=n*mat3(1.,.3963377774,.2158037573,1.,-.1055613458,-.0638541728,1.,-.0894841775,-1.291485548);return i*i*i*mat3(4.0767416621,-3.3077115913,.2309699292,-1.2684380046,2.6097574011,-.3413193965,-.0041960863,-.7034186147,1.707614701);}vec3 o(vec3 n){return n-floor(n*(1./289.))*289.;}vec4 o(vec4 n){return n-floor(n*(1./289.))*289.;}vec4 e(vec4 n){return o((n*34.+1.)*n);}vec4 v(vec4 y){return 1.79284291400159-.85373472095314*y;}float t(vec3 l){const vec2 s=vec2(1./6.,1./3.);const vec4 u=vec4(0.,.5,1.,2.);vec3 a=floor(l+dot(l,s.yyy)),x=l-a+dot(a,s.xxx),d=step(x.yzx,x.xyz),f=1.-d,z=min(d.xyz,f.zxy),w=max(d.xyz,f.zxy),m=x-z+s.xxx,C=x-w+s.yyy,p=x-u.yyy;a=o(a);vec4 P=e(e(e(a.z+vec4(0.,z.z,w.z,1.))+a.y+vec4(0.,z.y,w.y,1.))+a.x+vec4(0.,z.x,w.x,1.));vec3 S=.142857142857*u.wyz-u.xzx;vec4 L=P-49.*floor(P*S.z*S.z),F=floor(L*S.z),R=floor(L-7.*F),n=F*S.x+S.yyyy,W=R*S.x+S.yyyy,b=1.-abs(n)-abs(W),G=vec4(n.xy,W.xy),q=vec4(n.zw,W.zw),h=floor(G)*2.+1.,g=floor(q)*2.+1.,O=-step(b,vec4(0.)),B=G.xzyw+h.xzyw*O.xxyy,A=q.xzyw+g.xzyw*O.zzww;vec3 E=vec3(B.xy,b.x),Z=vec3(B.zw,b.y),Y=vec3(A.xy,b.z),X=vec3(A.zw,b.w);vec4 V=v(vec4(dot(E,E),dot(Z,Z),dot(Y,Y),dot(X,X)));E*=V.x;Z*=V.y;Y*=V.z;X*=V.w;vec4 U=max(.6-vec4(dot(x,x),dot(m,m),dot(C,C),dot(p,p)),0.);U=U*U;return 42.*dot(U*U,vec4(dot(E,x),dot(Z,m),dot(Y,C),dot(X,p)));}uniform mediump vec2 u_Resolution;uniform float u_Amplitude,u_Realtime,u_Seed;uniform int u_BlendSpace;uniform vec3 u_BaseColor;uniform int u_LayerCount;uniform struct WaveLayers{float noiseCeil;float noiseFloor;float noiseFlow;float noiseSeed;float noiseSpeed;vec2 noiseFreq;vec3 color;float opacity;int blendMode;} u_WaveLayers[9];uniform int u_InteractionMode;uniform float u_InteractionRadius,u_InteractionStrength;uniform vec2 u_PointerPosition,u_PointerMovement;uniform float u_PointerIntensity;in vec3 a_Position;out vec3 v_Color;vec3 k(vec3 i,vec3 c,int n,float r){if(u_BlendSpace==0)return o(i,o(n,i,c),r);i=e(i);c=o(n,i,e(c));if(u_BlendSpace==1)return v(o(i,c,r));return v(I(o(H(i),H(c),r)));}vec3 f(vec3 i){if(u_InteractionMode==0)return i;vec2 c=(i.xy+1.)*.5*u_Resolution,r=c-u_PointerPosition;float n=length(r),a=1.-smoothstep(0.,u_InteractionRadius,n);a*=a*u_PointerIntensity*u_InteractionStrength;if(u_InteractionMode==1)c.y+=a*u_InteractionRadius*.5;else if(u_InteractionMode==2)c.y+=a*u_InteractionRadius*.25*sin(n/u_InteractionRadius*18.-u_Realtime*.008);else c=u_PointerPosition+mat2(cos(a),sin(a),-sin(a),cos(a))*r;c+=u_PointerMovement*a;return vec3(c/u_Resolution*2.-1.,i.z);}
+#ifndef HOOK_DISPLACEMENT
+vec3 displacement(vec3 i,float c,float r){return vec3(i.x,i.y+c*r,i.z);}
+#endif
+#ifndef HOOK_LAYER_COLOR
+vec3 layerColor(vec3 i,int c,float r){return i;}
+#endif
+void main(){float T=u_Realtime*5e-6;vec2 Q=vec2(.00014,.00029),N=u_Resolution*a_Position.xy*Q;float M=u_Amplitude*(2./u_Resolution.y),K=t(vec3(N.x*3.+T*3.,N.y*4.,T*10.+u_Seed));K*=1.-pow(abs(a_Position.y),2.);K=max(0.,K);gl_Position=vec4(f(displacement(a_Position,K,M)),1.);v_Color=u_BaseColor;for(int a=0;a<u_LayerCount;a++){WaveLayers J=u_WaveLayers[a];float K=t(vec3(N.x*J.noiseFreq.x+T*J.noiseFlow,N.y*J.noiseFreq.y,T*J.noiseSpeed+J.noiseSeed));K=K/2.+.5;K=smoothstep(J.noiseFloor,J.noiseCeil,K);v_Color=k(v_Color,layerColor(J.color,a,K),J.blendMode,pow(K,4.)*J.opacity);}}
 `;
 
 export const frag = `#version 300 es
-precision mediump float;uniform vec2 u_Resolution;uniform float u_ShadowPower;in vec3 v_Color;out vec4 color;void main(){vec2 I=gl_FragCoord.xy/u_Resolution.xy;color=vec4(v_Color,1.);color.y-=pow(I.y+sin(-12.)*I.x,u_ShadowPower)*.4;}
+precision mediump float;uniform vec2 u_Resolution;uniform float u_PixelRatio;uniform vec4 u_ShadingEdges;uniform float u_ShadingSlope;uniform float u_ShadingStrength;uniform float u_ShadingPower;uniform vec3 u_ShadingTint;uniform int u_Dithering;uniform float u_GrainIntensity;uniform float u_GrainSize;uniform float u_GrainSeed;in vec3 v_Color;out vec4 color;float f(float i,float c){return pow(max(i+u_ShadingSlope*c,0.),u_ShadingPower);}float h(highp vec3 i){i=fract(i*.1031);i+=dot(i,i.zyx+31.32);return fract((i.x+i.y)*i.z);}float g(highp vec2 i,float c){highp vec2 r=floor(i);vec2 a=fract(i);a=a*a*(3.-2.*a);return mix(mix(h(vec3(r,c)),h(vec3(r+vec2(1.,0.),c)),a.x),mix(h(vec3(r+vec2(0.,1.),c)),h(vec3(r+1.,c)),a.x),a.y);}float b(vec2 i){i=floor(i);return fract(i.x/2.+i.y*i.y*.75);}float B(vec2 i){i=mod(i,8.);return b(i*.25)*.0625+b(i*.5)*.25+b(i);}float n(highp vec2 i){return fract(52.9829189*fract(dot(i,vec2(.06711056,.00583715))));}
+#ifndef HOOK_FINAL_COLOR
+vec4 finalColor(vec4 i,vec2 c){return i;}
+#endif
+void main(){vec2 I=gl_FragCoord.xy/(u_Resolution.xy*u_PixelRatio);color=vec4(v_Color,1.);float K=dot(u_ShadingEdges,vec4(f(I.y,I.x),f(I.x,1.-I.y),f(1.-I.y,1.-I.x),f(1.-I.x,I.y)));color.xyz-=K*u_ShadingStrength*(1.-u_ShadingTint);color=finalColor(color,I);if(u_GrainIntensity>0.){highp vec2 c=gl_FragCoord.xy/(u_GrainSize*u_PixelRatio);color.xyz+=(g(c,u_GrainSeed)-.5)*u_GrainIntensity;}if(u_Dithering==1)color.xyz+=(B(gl_FragCoord.xy)-.5)/255.;else if(u_Dithering==2)color.xyz+=(n(gl_FragCoord.xy)-.5)/255.;}
+`;
+
+export const webgl1Vert = `vec3 o(vec3 i,vec3 c,float r){return c*r+i*(1.-r);}vec3 D(vec3 i,vec3 c){return 1.-(1.-i)*(1.-c);}vec3 H(vec3 i,vec3 c){return mix(2.*i*c,D(i,2.*c-1.),step(.5,i));}vec3 I(vec3 i,vec3 c){return min(i/max(1.-c,1e-5),1.);}vec3 j(vec3 i,vec3 c){return max(1.-(1.-i)/max(c,1e-5),0.);}vec3 k(vec3 i,vec3 c){return mix(2.*i*c+i*i*(1.-2.*c),sqrt(i)*(2.*c-1.)+2.*i*(1.-c),step(.5,c));}vec3 o(int n,vec3 i,vec3 c){if(n==1)return i*c;if(n==2)return D(i,c);if(n==3)return H(i,c);if(n==4)return min(i,c);if(n==5)return max(i,c);if(n==6)return I(i,c);if(n==7)return j(i,c);if(n==8)return H(c,i);if(n==9)return k(i,c);if(n==10)return abs(i-c);if(n==11)return i+c-2.*i*c;if(n==12)return min(i+c,1.);if(n==13)return max(i-c,0.);return c;}vec3 e(vec3 n){return mix(n/12.92,pow((n+.055)/1.055,vec3(2.4)),step(.04045,n));}vec3 v(vec3 n){n=clamp(n,0.,1.);return mix(n*12.92,1.055*pow(n,vec3(1./2.4))-.055,step(.0031308,n));}vec3 H(vec3 n){vec3 i=n*mat3(.4122214708,.5363325363,.0514459929,.2119034982,.6806995451,.1073969566,.0883024619,.2817188376,.6299787005);return pow(max(i,0.),vec3(1./3.))*mat3(.2104542553,.793617785,-.0040720468,1.9779984951,-2.428592205,.4505937099,.0259040371,.7827717662,-.808675766);}vec3 I(vec3 n){vec3 i=n*mat3(1.,.3963377774,.2158037573,1.,-.1055613458,-.0638541728,1.,-.0894841775,-1.291485548);return i*i*i*mat3(4.0767416621,-3.3077115913,.2309699292,-1.2684380046,2.6097574011,-.3413193965,-.0041960863,-.7034186147,1.707614701);}vec3 o(vec3 n){return n-floor(n*(1./289.))*289.;}vec4 o(vec4 n){return n-floor(n*(1./289.))*289.;}vec4 e(vec4 n){return o((n*34.+1.)*n);}vec4 v(vec4 y){return 1.79284291400159-.85373472095314*y;}float t(vec3 l){const vec2 s=vec2(1./6.,1./3.);const vec4 u=vec4(0.,.5,1.,2.);vec3 a=floor(l+dot(l,s.yyy)),x=l-a+dot(a,s.xxx),d=step(x.yzx,x.xyz),f=1.-d,z=min(d.xyz,f.zxy),w=max(d.xyz,f.zxy),m=x-z+s.xxx,C=x-w+s.yyy,p=x-u.yyy;a=o(a);vec4 P=e(e(e(a.z+vec4(0.,z.z,w.z,1.))+a.y+vec4(0.,z.y,w.y,1.))+a.x+vec4(0.,z.x,w.x,1.));vec3 S=.142857142857*u.wyz-u.xzx;vec4 L=P-49.*floor(P*S.z*S.z),F=floor(L*S.z),R=floor(L-7.*F),n=F*S.x+S.yyyy,W=R*S.x+S.yyyy,b=1.-abs(n)-abs(W),G=vec4(n.xy,W.xy),q=vec4(n.zw,W.zw),h=floor(G)*2.+1.,g=floor(q)*2.+1.,O=-step(b,vec4(0.)),B=G.xzyw+h.xzyw*O.xxyy,A=q.xzyw+g.xzyw*O.zzww;vec3 E=vec3(B.xy,b.x),Z=vec3(B.zw,b.y),Y=vec3(A.xy,b.z),X=vec3(A.zw,b.w);vec4 V=v(vec4(dot(E,E),dot(Z,Z),dot(Y,Y),dot(X,X)));E*=V.x;Z*=V.y;Y*=V.z;X*=V.w;vec4 U=max(.6-vec4(dot(x,x),dot(m,m),dot(C,C),dot(p,p)),0.);U=U*U;return 42.*dot(U*U,vec4(dot(E,x),dot(Z,m),dot(Y,C),dot(X,p)));}uniform mediump vec2 u_Resolution;uniform float u_Amplitude,u_Realtime,u_Seed;uniform int u_BlendSpace;uniform vec3 u_BaseColor;uniform int u_LayerCount;uniform struct WaveLayers{float noiseCeil;float noiseFloor;float noiseFlow;float noiseSeed;float noiseSpeed;vec2 noiseFreq;vec3 color;float opacity;int blendMode;} u_WaveLayers[9];uniform int u_InteractionMode;uniform float u_InteractionRadius,u_InteractionStrength;uniform vec2 u_PointerPosition,u_PointerMovement;uniform float u_PointerIntensity;attribute vec3 a_Position;varying vec3 v_Color;vec3 k(vec3 i,vec3 c,int n,float r){if(u_BlendSpace==0)return o(i,o(n,i,c),r);i=e(i);c=o(n,i,e(c));if(u_BlendSpace==1)return v(o(i,c,r));return v(I(o(H(i),H(c),r)));}vec3 f(vec3 i){if(u_InteractionMode==0)return i;vec2 c=(i.xy+1.)*.5*u_Resolution,r=c-u_PointerPosition;float n=length(r),a=1.-smoothstep(0.,u_InteractionRadius,n);a*=a*u_PointerIntensity*u_InteractionStrength;if(u_InteractionMode==1)c.y+=a*u_InteractionRadius*.5;else if(u_InteractionMode==2)c.y+=a*u_InteractionRadius*.25*sin(n/u_InteractionRadius*18.-u_Realtime*.008);else c=u_PointerPosition+mat2(cos(a),sin(a),-sin(a),cos(a))*r;c+=u_PointerMovement*a;return vec3(c/u_Resolution*2.-1.,i.z);}
+#ifndef HOOK_DISPLACEMENT
+vec3 displacement(vec3 i,float c,float r){return vec3(i.x,i.y+c*r,i.z);}
+#endif
+#ifndef HOOK_LAYER_COLOR
+vec3 layerColor(vec3 i,int c,float r){return i;}
+#endif
+void main(){float T=u_Realtime*5e-6;vec2 Q=vec2(.00014,.00029),N=u_Resolution*a_Position.xy*Q;float M=u_Amplitude*(2./u_Resolution.y),K=t(vec3(N.x*3.+T*3.,N.y*4.,T*10.+u_Seed));K*=1.-pow(abs(a_Position.y),2.);K=max(0.,K);gl_Position=vec4(f(displacement(a_Position,K,M)),1.);v_Color=u_BaseColor;for(int a=0;a<9;a++){if(a>=u_LayerCount)break;WaveLayers J=u_WaveLayers[a];float K=t(vec3(N.x*J.noiseFreq.x+T*J.noiseFlow,N.y*J.noiseFreq.y,T*J.noiseSpeed+J.noiseSeed));K=K/2.+.5;K=smoothstep(J.noiseFloor,J.noiseCeil,K);v_Color=k(v_Color,layerColor(J.color,a,K),J.blendMode,pow(K,4.)*J.opacity);}}
+`;
+
+export const webgl1Frag = `precision mediump float;uniform vec2 u_Resolution;uniform float u_PixelRatio;uniform vec4 u_ShadingEdges;uniform float u_ShadingSlope;uniform float u_ShadingStrength;uniform float u_ShadingPower;uniform vec3 u_ShadingTint;uniform int u_Dithering;uniform float u_GrainIntensity;uniform float u_GrainSize;uniform float u_GrainSeed;varying vec3 v_Color;float f(float i,float c){return pow(max(i+u_ShadingSlope*c,0.),u_ShadingPower);}
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+#define NOISE_PRECISION highp
+#else
+#define NOISE_PRECISION mediump
+#endif
+float h(NOISE_PRECISION vec3 i){i=fract(i*.1031);i+=dot(i,i.zyx+31.32);return fract((i.x+i.y)*i.z);}float g(NOISE_PRECISION vec2 i,float c){NOISE_PRECISION vec2 r=floor(i);vec2 a=fract(i);a=a*a*(3.-2.*a);return mix(mix(h(vec3(r,c)),h(vec3(r+vec2(1.,0.),c)),a.x),mix(h(vec3(r+vec2(0.,1.),c)),h(vec3(r+1.,c)),a.x),a.y);}float b(vec2 i){i=floor(i);return fract(i.x/2.+i.y*i.y*.75);}float B(vec2 i){i=mod(i,8.);return b(i*.25)*.0625+b(i*.5)*.25+b(i);}float n(NOISE_PRECISION vec2 i){return fract(52.9829189*fract(dot(i,vec2(.06711056,.00583715))));}
+#ifndef HOOK_FINAL_COLOR
+vec4 finalColor(vec4 i,vec2 c){return i;}
+#endif
+void main(){vec2 I=gl_FragCoord.xy/(u_Resolution.xy*u_PixelRatio);vec4 K=vec4(v_Color,1.);float a=dot(u_ShadingEdges,vec4(f(I.y,I.x),f(I.x,1.-I.y),f(1.-I.y,1.-I.x),f(1.-I.x,I.y)));K.xyz-=a*u_ShadingStrength*(1.-u_ShadingTint);K=finalColor(K,I);if(u_GrainIntensity>0.){NOISE_PRECISION vec2 c=gl_FragCoord.xy/(u_GrainSize*u_PixelRatio);K.xyz+=(g(c,u_GrainSeed)-.5)*u_GrainIntensity;}if(u_Dithering==1)K.xyz+=(B(gl_FragCoord.xy)-.5)/255.;else if(u_Dithering==2)K.xyz+=(n(gl_FragCoord.xy)-.5)/255.;gl_FragColor=K;}
 `;
@@ -21,7 +21,23 @@ precision mediump float;
 // ---------------------------------------------------------------------
 
 uniform vec2 u_Resolution;
-uniform float u_ShadowPower;
+uniform float u_PixelRatio;
+
+// Shading of the edges, set from the `shading` option. The components
+// of `u_ShadingEdges` are 1.0 for the shaded edges and 0.0 otherwise, in
+// the top, right, bottom, left order.
+uniform vec4 u_ShadingEdges;
+uniform float u_ShadingSlope;
+uniform float u_ShadingStrength;
+uniform float u_ShadingPower;
+uniform vec3 u_ShadingTint;
+
+// Post-processing, set from the `dithering` and `grain` options.
+// `u_Dithering` is 0 for none, 1 for ordered and 2 for noise dithering.
+uniform int u_Dithering;
+uniform float u_GrainIntensity;
+uniform float u_GrainSize;
+uniform float u_GrainSeed;
 
 // ---------------------------------------------------------------------
 // Input variables
@@ -35,6 +51,77 @@ in vec3 v_Color;
 
 out vec4 color;
 
+// ---------------------------------------------------------------------
+// Shading
+// ---------------------------------------------------------------------
+
+// Shading of an edge. `t` is the distance from the opposite edge and `s`
+// the position along the edge, both between 0.0 and 1.0. The slope tilts
+// the shading towards the clockwise end of the edge.
+float edgeShading(float t, float s) {
+  return pow(max(t + u_ShadingSlope * s, 0.0), u_ShadingPower);
+}
+
+// ---------------------------------------------------------------------
+// Post-processing
+// ---------------------------------------------------------------------
+
+// Pseudo-random value between 0.0 and 1.0, Dave Hoskins' "Hash without
+// Sine" (https://www.shadertoy.com/view/4djSRW). It needs high precision
+// to not repeat visibly.
+float hash(highp vec3 p) {
+  p = fract(p * 0.1031);
+  p += dot(p, p.zyx + 31.32);
+  return fract((p.x + p.y) * p.z);
+}
+
+// Film grain between 0.0 and 1.0. Smoothed value noise, so that grain
+// larger than a pixel is soft instead of blocky.
+float grain(highp vec2 p, float seed) {
+  highp vec2 i = floor(p);
+  vec2 f = fract(p);
+  f = f * f * (3.0 - 2.0 * f);
+  return mix(
+    mix(hash(vec3(i, seed)), hash(vec3(i + vec2(1.0, 0.0), seed)), f.x),
+    mix(hash(vec3(i + vec2(0.0, 1.0), seed)), hash(vec3(i + 1.0, seed)), f.x),
+    f.y
+  );
+}
+
+// Ordered dithering threshold between 0.0 and 1.0 of a pixel in a 2x2
+// Bayer matrix, and in an 8x8 one built from it.
+float bayer2(vec2 p) {
+  p = floor(p);
+  return fract(p.x / 2.0 + p.y * p.y * 0.75);
+}
+
+float bayer8(vec2 p) {
+  p = mod(p, 8.0);
+  return bayer2(p * 0.25) * 0.0625 + bayer2(p * 0.5) * 0.25 + bayer2(p);
+}
+
+// Noise dithering threshold between 0.0 and 1.0, Jorge Jimenez'
+// interleaved gradient noise. It's spread more evenly than white noise,
+// like blue noise, so the dithering is less visible.
+float interleavedGradientNoise(highp vec2 p) {
+  return fract(52.9829189 * fract(dot(p, vec2(0.06711056, 0.00583715))));
+}
+
+// ---------------------------------------------------------------------
+// Shader hooks
+// ---------------------------------------------------------------------
+
+// Default implementation of the function that can be overridden with
+// the `shaderHooks` option, see the vertex shader.
+
+// Final color of a fragment, before the grain and dithering. `st` is the
+// fragment position between 0.0 and 1.0 from the bottom left corner.
+#ifndef HOOK_FINAL_COLOR
+vec4 finalColor(vec4 color, vec2 st) {
+  return color;
+}
+#endif
+
 // ---------------------------------------------------------------------
 // Fragment shader entry point
 // ---------------------------------------------------------------------
@@ -42,14 +129,42 @@ out vec4 color;
 void main() {
   // Normalize the fragment pixel coordinates between 0.0 - 1.0. `st` is
   // a reference to the `.st` GLSL swizzle mask which is usually used
-  // for texture coordinates in shaders.
-  vec2 st = gl_FragCoord.xy / u_Resolution.xy;
+  // for texture coordinates in shaders. The resolution is in CSS
+  // pixels, the pixel ratio scales it to drawing buffer pixels.
+  vec2 st = gl_FragCoord.xy / (u_Resolution.xy * u_PixelRatio);
 
   color = vec4(v_Color, 1.0);
 
-  // In the original stripe shader, this step was only enabled based on
-  // a uniform value which was set to `true` if the HTML attribute
-  // `data-js-darken-top` was set on the canvas element. Here, for
-  // simplicity, it's always enabled.
-  color.g -= pow(st.y + sin(-12.0) * st.x, u_ShadowPower) * 0.4;
+  // Darken the shaded edges, by the amount each channel lacks in the
+  // tint. In the original stripe shader, this step was only enabled
+  // based on a uniform value which was set to `true` if the HTML
+  // attribute `data-js-darken-top` was set on the canvas element, and
+  // only darkened the green channel along the top edge. The default
+  // `shading` option matches it.
+  float shading = dot(u_ShadingEdges, vec4(
+    edgeShading(st.y, st.x),
+    edgeShading(st.x, 1.0 - st.y),
+    edgeShading(1.0 - st.y, 1.0 - st.x),
+    edgeShading(1.0 - st.x, st.y)
+  ));
+  color.rgb -= shading * u_ShadingStrength * (1.0 - u_ShadingTint);
+
+  color = finalColor(color, st);
+
+  // Film grain, sized in CSS pixels so it looks the same at any pixel
+  // ratio
+  if (u_GrainIntensity > 0.0) {
+    highp vec2 grainPosition =
+      gl_FragCoord.xy / (u_GrainSize * u_PixelRatio);
+    color.rgb += (grain(grainPosition, u_GrainSeed) - 0.5) * u_GrainIntensity;
+  }
+
+  // Dither the color by up to half a step of the 8-bit output to break
+  // up the banding of smooth gradients. The `gl.DITHER` capability is
+  // not used since it's implementation defined, and often does nothing.
+  if (u_Dithering == 1) {
+    color.rgb += (bayer8(gl_FragCoord.xy) - 0.5) / 255.0;
+  } else if (u_Dithering == 2) {
+    color.rgb += (interleavedGradientNoise(gl_FragCoord.xy) - 0.5) / 255.0;
+  }
 }
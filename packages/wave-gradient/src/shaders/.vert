@@ -8,6 +8,7 @@
 
 #extension GL_GOOGLE_include_directive : enable
 #include "includes/blend.glsl"
+#include "includes/color.glsl"
 #include "includes/snoise.glsl"
 
 // ---------------------------------------------------------------------
@@ -18,6 +19,7 @@ uniform mediump vec2 u_Resolution; // `mediump` to match fragment shader
 uniform float u_Amplitude;
 uniform float u_Realtime;
 uniform float u_Seed;
+uniform int u_BlendSpace;
 
 const int i_MAX_COLOR_LAYERS = 9;
 uniform vec3 u_BaseColor;
@@ -30,8 +32,21 @@ uniform struct WaveLayers {
   float noiseSpeed;
   vec2 noiseFreq;
   vec3 color;
+  float opacity;
+  int blendMode;
 } u_WaveLayers[i_MAX_COLOR_LAYERS];
 
+// Pointer interaction, set from the `interaction` option.
+// `u_InteractionMode` is 0 for none, 1 for bulge, 2 for ripple and 3
+// for swirl. The pointer position and movement are in CSS pixels from
+// the bottom left corner.
+uniform int u_InteractionMode;
+uniform float u_InteractionRadius;
+uniform float u_InteractionStrength;
+uniform vec2 u_PointerPosition;
+uniform vec2 u_PointerMovement;
+uniform float u_PointerIntensity;
+
 // ---------------------------------------------------------------------
 // Attributes
 // ---------------------------------------------------------------------
@@ -45,6 +60,92 @@ in vec3 a_Position;
 // These are variables sent to the fragment shader as inputs
 out vec3 v_Color;
 
+// ---------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------
+
+// Blends a layer color over the base color using the given blend mode.
+// The colors are mixed (based on opacity) in the color space selected
+// by `u_BlendSpace`: 0 = sRGB, 1 = linear sRGB, 2 = Oklab. The blend
+// mode itself is applied in linear sRGB for the latter two. Input and
+// output colors are sRGB.
+vec3 blendLayer(vec3 base, vec3 color, int mode, float opacity) {
+  if (u_BlendSpace == 0) {
+    return blendNormal(base, blendMode(mode, base, color), opacity);
+  }
+
+  base = srgbToLinear(base);
+  color = blendMode(mode, base, srgbToLinear(color));
+
+  if (u_BlendSpace == 1) {
+    return linearToSrgb(blendNormal(base, color, opacity));
+  }
+
+  return linearToSrgb(oklabToLinear(
+    blendNormal(linearToOklab(base), linearToOklab(color), opacity)));
+}
+
+// Displaces a vertex around the pointer. `position` is in clip space.
+// The effect fades out with the distance to the pointer, and fades in
+// and out with `u_PointerIntensity` as the pointer enters and leaves
+// the canvas. Vertices are also dragged along the recent movement of
+// the pointer.
+vec3 pointerDisplacement(vec3 position) {
+  if (u_InteractionMode == 0) return position;
+
+  vec2 point = (position.xy + 1.0) * 0.5 * u_Resolution;
+  vec2 offset = point - u_PointerPosition;
+  float pointerDistance = length(offset);
+  float falloff =
+    1.0 - smoothstep(0.0, u_InteractionRadius, pointerDistance);
+  float strength =
+    falloff * falloff * u_PointerIntensity * u_InteractionStrength;
+
+  if (u_InteractionMode == 1) {
+    // Lift the waves under the pointer
+    point.y += strength * u_InteractionRadius * 0.5;
+  } else if (u_InteractionMode == 2) {
+    // Concentric waves moving out from the pointer
+    point.y += strength * u_InteractionRadius * 0.25 * sin(
+      pointerDistance / u_InteractionRadius * 18.0 - u_Realtime * 0.008);
+  } else {
+    // Rotate around the pointer, by up to `strength` radians
+    point = u_PointerPosition +
+      mat2(cos(strength), sin(strength), -sin(strength), cos(strength)) *
+      offset;
+  }
+
+  point += u_PointerMovement * strength;
+  return vec3(point / u_Resolution * 2.0 - 1.0, position.z);
+}
+
+// ---------------------------------------------------------------------
+// Shader hooks
+// ---------------------------------------------------------------------
+
+// Default implementations of the functions that can be overridden with
+// the `shaderHooks` option. Custom hooks and uniforms are inserted
+// before the first `#ifndef HOOK_...` directive at runtime, which then
+// skips the default implementation.
+
+// Displaces a vertex of the plane. `position` is in clip space, `noise`
+// is the wave noise at the vertex (faded out at the edges) and
+// `amplitude` is the `amplitude` option in clip space units.
+#ifndef HOOK_DISPLACEMENT
+vec3 displacement(vec3 position, float noise, float amplitude) {
+  return vec3(position.x, position.y + noise * amplitude, position.z);
+}
+#endif
+
+// Color of a wave layer at a vertex, before it's blended over the layers
+// below it. `index` is the index of the wave layer and `noise` the layer
+// noise between 0.0 and 1.0.
+#ifndef HOOK_LAYER_COLOR
+vec3 layerColor(vec3 color, int index, float noise) {
+  return color;
+}
+#endif
+
 // ---------------------------------------------------------------------
 // Vertex shader entry point
 // ---------------------------------------------------------------------
@@ -70,17 +171,19 @@ void main() {
 
   // Final vertex position. variables starting with `gl_` are built-in
   // to WebGL. The `gl_Position` variable is the output of the vertex
-  // shader stage and sets the position of each vertex.
-  gl_Position =
-    vec4(a_Position.x, a_Position.y + (noise * amplitude), a_Position.z, 1.0);
+  // shader stage and sets the position of each vertex. The pointer
+  // interaction is applied after the displacement hook.
+  gl_Position = vec4(
+    pointerDisplacement(displacement(a_Position, noise, amplitude)), 1.0);
 
   // Vertex color ------------------------------------------------------
 
   // start with the base color (1st layer)
   v_Color = u_BaseColor;
 
-  // Blend all the layer colors together using normal blending. Get the
-  // alpha value for each blending step from the noise function.
+  // Blend all the layer colors together using each layer's blend mode.
+  // Get the alpha value for each blending step from the noise function
+  // and scale it by the layer opacity.
   for (int i = 0; i < u_LayerCount; i++) {
     WaveLayers layer = u_WaveLayers[i];
 
@@ -94,6 +197,10 @@ void main() {
 
     noise = smoothstep(layer.noiseFloor, layer.noiseCeil, noise);
 
-    v_Color = blendNormal(v_Color, layer.color, pow(noise, 4.0));
+    v_Color = blendLayer(
+      v_Color,
+      layerColor(layer.color, i, noise),
+      layer.blendMode,
+      pow(noise, 4.0) * layer.opacity);
   }
 }
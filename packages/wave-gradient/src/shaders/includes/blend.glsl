@@ -1,7 +1,52 @@
 // GLSL Blend 1.0.3 ©️ Jamie Owen
 // Published under the MIT license.
 // https://github.com/jamieowen/glsl-blend
+//
+// The blend mode functions below are vectorized versions of the
+// originals without the opacity argument. `blendNormal()` is used to
+// apply the opacity instead.
 
 vec3 blendNormal(vec3 base, vec3 blend, float opacity) {
   return blend * opacity + base * (1.0 - opacity);
 }
+
+vec3 blendScreen(vec3 base, vec3 blend) {
+  return 1.0 - (1.0 - base) * (1.0 - blend);
+}
+
+vec3 blendOverlay(vec3 base, vec3 blend) {
+  return mix(2.0 * base * blend, blendScreen(base, 2.0 * blend - 1.0),
+    step(0.5, base));
+}
+
+vec3 blendColorDodge(vec3 base, vec3 blend) {
+  return min(base / max(1.0 - blend, 1e-5), 1.0);
+}
+
+vec3 blendColorBurn(vec3 base, vec3 blend) {
+  return max(1.0 - (1.0 - base) / max(blend, 1e-5), 0.0);
+}
+
+vec3 blendSoftLight(vec3 base, vec3 blend) {
+  return mix(2.0 * base * blend + base * base * (1.0 - 2.0 * blend),
+    sqrt(base) * (2.0 * blend - 1.0) + 2.0 * base * (1.0 - blend),
+    step(0.5, blend));
+}
+
+// The order of the modes must match `BLEND_MODES` in `options.js`
+vec3 blendMode(int mode, vec3 base, vec3 blend) {
+  if (mode == 1) return base * blend;                       // multiply
+  if (mode == 2) return blendScreen(base, blend);           // screen
+  if (mode == 3) return blendOverlay(base, blend);          // overlay
+  if (mode == 4) return min(base, blend);                   // darken
+  if (mode == 5) return max(base, blend);                   // lighten
+  if (mode == 6) return blendColorDodge(base, blend);       // color-dodge
+  if (mode == 7) return blendColorBurn(base, blend);        // color-burn
+  if (mode == 8) return blendOverlay(blend, base);          // hard-light
+  if (mode == 9) return blendSoftLight(base, blend);        // soft-light
+  if (mode == 10) return abs(base - blend);                 // difference
+  if (mode == 11) return base + blend - 2.0 * base * blend; // exclusion
+  if (mode == 12) return min(base + blend, 1.0);            // add
+  if (mode == 13) return max(base - blend, 0.0);            // subtract
+  return blend;                                             // normal
+}
@@ -0,0 +1,41 @@
+// Color space conversions. sRGB transfer functions are from the sRGB
+// spec and the Oklab ones are from Björn Ottosson.
+// https://bottosson.github.io/posts/oklab
+
+// Note that the matrices are written row by row, which is why the
+// vectors are multiplied from the left.
+
+vec3 srgbToLinear(vec3 color) {
+  return mix(color / 12.92, pow((color + 0.055) / 1.055, vec3(2.4)),
+    step(0.04045, color));
+}
+
+vec3 linearToSrgb(vec3 color) {
+  color = clamp(color, 0.0, 1.0);
+  return mix(color * 12.92, 1.055 * pow(color, vec3(1.0 / 2.4)) - 0.055,
+    step(0.0031308, color));
+}
+
+vec3 linearToOklab(vec3 color) {
+  vec3 lms = color * mat3(
+    0.4122214708, 0.5363325363, 0.0514459929,
+    0.2119034982, 0.6806995451, 0.1073969566,
+    0.0883024619, 0.2817188376, 0.6299787005);
+
+  return pow(max(lms, 0.0), vec3(1.0 / 3.0)) * mat3(
+    0.2104542553, 0.7936177850, -0.0040720468,
+    1.9779984951, -2.4285922050, 0.4505937099,
+    0.0259040371, 0.7827717662, -0.8086757660);
+}
+
+vec3 oklabToLinear(vec3 color) {
+  vec3 lms = color * mat3(
+    1.0, 0.3963377774, 0.2158037573,
+    1.0, -0.1055613458, -0.0638541728,
+    1.0, -0.0894841775, -1.2914855480);
+
+  return (lms * lms * lms) * mat3(
+    4.0767416621, -3.3077115913, 0.2309699292,
+    -1.2684380046, 2.6097574011, -0.3413193965,
+    -0.0041960863, -0.7034186147, 1.7076147010);
+}
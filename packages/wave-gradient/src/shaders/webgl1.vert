@@ -0,0 +1,210 @@
+// ---------------------------------------------------------------------
+//
+// WebGL 1 (GLSL ES 1.00) variant of the vertex shader stage in `.vert`.
+// Changes there must be ported here. The differences are the attribute
+// and varying qualifiers and the layers loop, which must have a
+// constant bound in GLSL ES 1.00.
+//
+// ---------------------------------------------------------------------
+
+#extension GL_GOOGLE_include_directive : enable
+#include "includes/blend.glsl"
+#include "includes/color.glsl"
+#include "includes/snoise.glsl"
+
+// ---------------------------------------------------------------------
+// Uniforms
+// ---------------------------------------------------------------------
+
+uniform mediump vec2 u_Resolution; // `mediump` to match fragment shader
+uniform float u_Amplitude;
+uniform float u_Realtime;
+uniform float u_Seed;
+uniform int u_BlendSpace;
+
+// All the 9 layers fit in the 128 uniform vectors that WebGL 1 is
+// guaranteed to support, even if every struct member takes a vector.
+const int i_MAX_COLOR_LAYERS = 9;
+uniform vec3 u_BaseColor;
+uniform int u_LayerCount;
+uniform struct WaveLayers {
+  float noiseCeil;
+  float noiseFloor;
+  float noiseFlow;
+  float noiseSeed;
+  float noiseSpeed;
+  vec2 noiseFreq;
+  vec3 color;
+  float opacity;
+  int blendMode;
+} u_WaveLayers[i_MAX_COLOR_LAYERS];
+
+// Pointer interaction, set from the `interaction` option.
+// `u_InteractionMode` is 0 for none, 1 for bulge, 2 for ripple and 3
+// for swirl. The pointer position and movement are in CSS pixels from
+// the bottom left corner.
+uniform int u_InteractionMode;
+uniform float u_InteractionRadius;
+uniform float u_InteractionStrength;
+uniform vec2 u_PointerPosition;
+uniform vec2 u_PointerMovement;
+uniform float u_PointerIntensity;
+
+// ---------------------------------------------------------------------
+// Attributes
+// ---------------------------------------------------------------------
+
+attribute vec3 a_Position;
+
+// ---------------------------------------------------------------------
+// Varying variables
+// ---------------------------------------------------------------------
+
+// These are variables sent to the fragment shader as inputs
+varying vec3 v_Color;
+
+// ---------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------
+
+// Blends a layer color over the base color using the given blend mode.
+// The colors are mixed (based on opacity) in the color space selected
+// by `u_BlendSpace`: 0 = sRGB, 1 = linear sRGB, 2 = Oklab. The blend
+// mode itself is applied in linear sRGB for the latter two. Input and
+// output colors are sRGB.
+vec3 blendLayer(vec3 base, vec3 color, int mode, float opacity) {
+  if (u_BlendSpace == 0) {
+    return blendNormal(base, blendMode(mode, base, color), opacity);
+  }
+
+  base = srgbToLinear(base);
+  color = blendMode(mode, base, srgbToLinear(color));
+
+  if (u_BlendSpace == 1) {
+    return linearToSrgb(blendNormal(base, color, opacity));
+  }
+
+  return linearToSrgb(oklabToLinear(
+    blendNormal(linearToOklab(base), linearToOklab(color), opacity)));
+}
+
+// Displaces a vertex around the pointer. `position` is in clip space.
+// The effect fades out with the distance to the pointer, and fades in
+// and out with `u_PointerIntensity` as the pointer enters and leaves
+// the canvas. Vertices are also dragged along the recent movement of
+// the pointer.
+vec3 pointerDisplacement(vec3 position) {
+  if (u_InteractionMode == 0) return position;
+
+  vec2 point = (position.xy + 1.0) * 0.5 * u_Resolution;
+  vec2 offset = point - u_PointerPosition;
+  float pointerDistance = length(offset);
+  float falloff =
+    1.0 - smoothstep(0.0, u_InteractionRadius, pointerDistance);
+  float strength =
+    falloff * falloff * u_PointerIntensity * u_InteractionStrength;
+
+  if (u_InteractionMode == 1) {
+    // Lift the waves under the pointer
+    point.y += strength * u_InteractionRadius * 0.5;
+  } else if (u_InteractionMode == 2) {
+    // Concentric waves moving out from the pointer
+    point.y += strength * u_InteractionRadius * 0.25 * sin(
+      pointerDistance / u_InteractionRadius * 18.0 - u_Realtime * 0.008);
+  } else {
+    // Rotate around the pointer, by up to `strength` radians
+    point = u_PointerPosition +
+      mat2(cos(strength), sin(strength), -sin(strength), cos(strength)) *
+      offset;
+  }
+
+  point += u_PointerMovement * strength;
+  return vec3(point / u_Resolution * 2.0 - 1.0, position.z);
+}
+
+// ---------------------------------------------------------------------
+// Shader hooks
+// ---------------------------------------------------------------------
+
+// Default implementations of the functions that can be overridden with
+// the `shaderHooks` option. Custom hooks and uniforms are inserted
+// before the first `#ifndef HOOK_...` directive at runtime, which then
+// skips the default implementation.
+
+// Displaces a vertex of the plane. `position` is in clip space, `noise`
+// is the wave noise at the vertex (faded out at the edges) and
+// `amplitude` is the `amplitude` option in clip space units.
+#ifndef HOOK_DISPLACEMENT
+vec3 displacement(vec3 position, float noise, float amplitude) {
+  return vec3(position.x, position.y + noise * amplitude, position.z);
+}
+#endif
+
+// Color of a wave layer at a vertex, before it's blended over the layers
+// below it. `index` is the index of the wave layer and `noise` the layer
+// noise between 0.0 and 1.0.
+#ifndef HOOK_LAYER_COLOR
+vec3 layerColor(vec3 color, int index, float noise) {
+  return color;
+}
+#endif
+
+// ---------------------------------------------------------------------
+// Vertex shader entry point
+// ---------------------------------------------------------------------
+
+void main() {
+
+  // scale down realtime to a reasonable value for animating the noise
+  float time = u_Realtime * 5e-6;
+
+  // Vertex displacement -----------------------------------------------
+
+  vec2 frequency = vec2(14e-5, 29e-5);
+  vec2 noiseCoord = (u_Resolution * a_Position.xy) * frequency;
+  float amplitude = u_Amplitude * (2.0 / u_Resolution.y);
+
+  float noise = snoise(vec3(
+    noiseCoord.x * 3.0 + time * 3.0, noiseCoord.y * 4.0, time * 10.0 + u_Seed));
+
+  // Fades noise values to 0 at the edges of the plane and limits the
+  // displacement to positive values only.
+  noise *= 1.0 - pow(abs(a_Position.y), 2.0);
+  noise = max(0.0, noise);
+
+  // Final vertex position. variables starting with `gl_` are built-in
+  // to WebGL. The `gl_Position` variable is the output of the vertex
+  // shader stage and sets the position of each vertex. The pointer
+  // interaction is applied after the displacement hook.
+  gl_Position = vec4(
+    pointerDisplacement(displacement(a_Position, noise, amplitude)), 1.0);
+
+  // Vertex color ------------------------------------------------------
+
+  // start with the base color (1st layer)
+  v_Color = u_BaseColor;
+
+  // Blend all the layer colors together using each layer's blend mode.
+  // Get the alpha value for each blending step from the noise function
+  // and scale it by the layer opacity.
+  for (int i = 0; i < i_MAX_COLOR_LAYERS; i++) {
+    if (i >= u_LayerCount) break;
+    WaveLayers layer = u_WaveLayers[i];
+
+    float noise = snoise(vec3(
+      noiseCoord.x * layer.noiseFreq.x + time * layer.noiseFlow,
+      noiseCoord.y * layer.noiseFreq.y,
+      time * layer.noiseSpeed + layer.noiseSeed));
+
+    // Normalize the noise value between 0.0 and 1.0
+    noise = noise / 2.0 + 0.5;
+
+    noise = smoothstep(layer.noiseFloor, layer.noiseCeil, noise);
+
+    v_Color = blendLayer(
+      v_Color,
+      layerColor(layer.color, i, noise),
+      layer.blendMode,
+      pow(noise, 4.0) * layer.opacity);
+  }
+}
@@ -0,0 +1,712 @@
+// ---------------------------------------------------------------------
+//
+// Software renderer. A plain JavaScript port of the vertex and fragment
+// shaders that rasterizes the same plane geometry on the CPU. It needs
+// neither a browser nor a GPU, so it can be used in Node to render
+// static images of a gradient, e.g. placeholders at build time.
+//
+// The output matches the WebGL renderer closely but not bit for bit,
+// since the math is done in double precision and there is no
+// anti-aliasing.
+//
+// ---------------------------------------------------------------------
+
+import { ClipSpace } from "./clip-space";
+import {
+  createGrain,
+  createShading,
+  createState,
+  getBlendSpace,
+  getDithering,
+  getGrainSeed,
+  resolveOptions,
+} from "./options";
+
+/** @typedef {import("./options").WaveGradientOptions} WaveGradientOptions */
+/** @typedef {import("./options").Shading} Shading */
+/** @typedef {import("./options").Grain} Grain */
+/** @typedef {[number, number, number]} Vec3 */
+
+/**
+ * Rendered image. Has the same shape as `ImageData`, the pixels are
+ * RGBA rows from top to bottom.
+ *
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   data: Uint8ClampedArray,
+ * }} WaveGradientImageData
+ */
+
+// ---------------------------------------------------------------------
+// Noise
+// ---------------------------------------------------------------------
+
+/**
+ * @param {number} x - value
+ * @returns {number} `x` modulo 289
+ */
+function mod289(x) {
+  return x - Math.floor(x * (1 / 289)) * 289;
+}
+
+/**
+ * @param {number} x - value
+ * @returns {number} permuted value
+ */
+function permute(x) {
+  return mod289((x * 34 + 1) * x);
+}
+
+/**
+ * Port of the `snoise()` GLSL function. The vector math is unrolled
+ * for each of the four simplex corners.
+ *
+ * @see https://github.com/stegu/webgl-noise
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @param {number} z - z coordinate
+ * @returns {number} noise value between -1 and 1
+ */
+export function snoise(x, y, z) {
+  // First corner
+  const s = (x + y + z) / 3;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const k = Math.floor(z + s);
+  const t = (i + j + k) / 6;
+  const x0 = x - i + t;
+  const y0 = y - j + t;
+  const z0 = z - k + t;
+
+  // Other corners
+  const gx = x0 >= y0 ? 1 : 0;
+  const gy = y0 >= z0 ? 1 : 0;
+  const gz = z0 >= x0 ? 1 : 0;
+  const i1 = [Math.min(gx, 1 - gz), Math.min(gy, 1 - gx), Math.min(gz, 1 - gy)];
+  const i2 = [Math.max(gx, 1 - gz), Math.max(gy, 1 - gx), Math.max(gz, 1 - gy)];
+
+  // Corner offsets from the first corner
+  const offsets = [[0, 0, 0], i1, i2, [1, 1, 1]];
+
+  // Gradients: 7x7 points over a square, mapped onto an octahedron.
+  // The shader multiplies by an approximation of 1/7 that rounds up in
+  // single precision, so multiples of 7 and 49 divide exactly. Divide
+  // instead, the approximation rounds down in double precision.
+  const ns = [2 / 7, 0.5 / 7 - 1];
+
+  const mi = mod289(i);
+  const mj = mod289(j);
+  const mk = mod289(k);
+
+  let sum = 0;
+  for (let c = 0; c < 4; c++) {
+    const [ox, oy, oz] = offsets[c];
+
+    // Corner position relative to the input
+    const cx = x0 - ox + c * (1 / 6);
+    const cy = y0 - oy + c * (1 / 6);
+    const cz = z0 - oz + c * (1 / 6);
+
+    const m = Math.max(0.6 - (cx * cx + cy * cy + cz * cz), 0);
+    if (m === 0) continue;
+
+    // Permutation
+    const p = permute(permute(permute(mk + oz) + mj + oy) + mi + ox);
+    const pj = p - 49 * Math.floor(p / 49);
+    const px_ = Math.floor(pj / 7);
+    const py_ = Math.floor(pj - 7 * px_);
+
+    // Gradient
+    let px = px_ * ns[0] + ns[1];
+    let py = py_ * ns[0] + ns[1];
+    const pz = 1 - Math.abs(px) - Math.abs(py);
+    if (pz <= 0) {
+      px -= Math.floor(px) * 2 + 1;
+      py -= Math.floor(py) * 2 + 1;
+    }
+
+    // Normalise gradient
+    const norm =
+      1.79284291400159 - 0.85373472095314 * (px * px + py * py + pz * pz);
+
+    sum += m * m * m * m * norm * (px * cx + py * cy + pz * cz);
+  }
+
+  return 42 * sum;
+}
+
+/**
+ * @param {number} edge0 - lower edge
+ * @param {number} edge1 - upper edge
+ * @param {number} x - value
+ * @returns {number} smooth Hermite interpolation of `x`
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * @param {number} a - start value
+ * @param {number} b - end value
+ * @param {number} t - interpolation factor
+ * @returns {number} linear interpolation between `a` and `b`
+ */
+function mix(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// ---------------------------------------------------------------------
+// Blending
+// ---------------------------------------------------------------------
+
+/**
+ * @param {number} base - base channel value
+ * @param {number} blend - blend channel value
+ * @returns {number} screen blended value
+ */
+function screen(base, blend) {
+  return 1 - (1 - base) * (1 - blend);
+}
+
+/**
+ * @param {number} base - base channel value
+ * @param {number} blend - blend channel value
+ * @returns {number} overlay blended value
+ */
+function overlay(base, blend) {
+  return base >= 0.5 ? screen(base, 2 * blend - 1) : 2 * base * blend;
+}
+
+/**
+ * Port of the `blendMode()` GLSL function for a single channel. The
+ * order of the modes matches `BLEND_MODES` in `options.js`.
+ *
+ * @param {number} mode - blend mode index
+ * @param {number} base - base channel value
+ * @param {number} blend - blend channel value
+ * @returns {number} blended value
+ */
+export function blendChannel(mode, base, blend) {
+  switch (mode) {
+    case 1: // multiply
+      return base * blend;
+    case 2: // screen
+      return screen(base, blend);
+    case 3: // overlay
+      return overlay(base, blend);
+    case 4: // darken
+      return Math.min(base, blend);
+    case 5: // lighten
+      return Math.max(base, blend);
+    case 6: // color-dodge
+      return Math.min(base / Math.max(1 - blend, 1e-5), 1);
+    case 7: // color-burn
+      return Math.max(1 - (1 - base) / Math.max(blend, 1e-5), 0);
+    case 8: // hard-light
+      return overlay(blend, base);
+    case 9: // soft-light
+      return blend >= 0.5
+        ? Math.sqrt(base) * (2 * blend - 1) + 2 * base * (1 - blend)
+        : 2 * base * blend + base * base * (1 - 2 * blend);
+    case 10: // difference
+      return Math.abs(base - blend);
+    case 11: // exclusion
+      return base + blend - 2 * base * blend;
+    case 12: // add
+      return Math.min(base + blend, 1);
+    case 13: // subtract
+      return Math.max(base - blend, 0);
+    default: // normal
+      return blend;
+  }
+}
+
+/**
+ * @param {Vec3} base - base color
+ * @param {Vec3} blend - blend color
+ * @param {number} opacity - opacity of the blend color
+ * @returns {Vec3} mixed color
+ */
+function blendNormal(base, blend, opacity) {
+  return /** @type {Vec3} */ (
+    base.map((value, i) => blend[i] * opacity + value * (1 - opacity))
+  );
+}
+
+/**
+ * Multiplies a matrix, given row by row, with a vector.
+ *
+ * @param {number[]} m - 3x3 matrix
+ * @param {Vec3} v - vector
+ * @returns {Vec3} transformed vector
+ */
+function transform(m, [x, y, z]) {
+  return [
+    m[0] * x + m[1] * y + m[2] * z,
+    m[3] * x + m[4] * y + m[5] * z,
+    m[6] * x + m[7] * y + m[8] * z,
+  ];
+}
+
+/**
+ * @param {Vec3} color - sRGB color
+ * @returns {Vec3} linear sRGB color
+ */
+function srgbToLinear(color) {
+  return /** @type {Vec3} */ (
+    color.map((c) =>
+      c >= 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92
+    )
+  );
+}
+
+/**
+ * @param {Vec3} color - linear sRGB color
+ * @returns {Vec3} sRGB color
+ */
+function linearToSrgb(color) {
+  return /** @type {Vec3} */ (
+    color.map((c) => {
+      c = Math.min(Math.max(c, 0), 1);
+      return c >= 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : c * 12.92;
+    })
+  );
+}
+
+// Oklab conversion matrices, row by row
+// prettier-ignore
+const LINEAR_TO_LMS = [
+  0.4122214708, 0.5363325363, 0.0514459929,
+  0.2119034982, 0.6806995451, 0.1073969566,
+  0.0883024619, 0.2817188376, 0.6299787005,
+];
+// prettier-ignore
+const LMS_TO_OKLAB = [
+  0.2104542553, 0.7936177850, -0.0040720468,
+  1.9779984951, -2.4285922050, 0.4505937099,
+  0.0259040371, 0.7827717662, -0.8086757660,
+];
+// prettier-ignore
+const OKLAB_TO_LMS = [
+  1.0, 0.3963377774, 0.2158037573,
+  1.0, -0.1055613458, -0.0638541728,
+  1.0, -0.0894841775, -1.2914855480,
+];
+// prettier-ignore
+const LMS_TO_LINEAR = [
+  4.0767416621, -3.3077115913, 0.2309699292,
+  -1.2684380046, 2.6097574011, -0.3413193965,
+  -0.0041960863, -0.7034186147, 1.7076147010,
+];
+
+/**
+ * @param {Vec3} color - linear sRGB color
+ * @returns {Vec3} Oklab color
+ */
+function linearToOklab(color) {
+  const lms = transform(LINEAR_TO_LMS, color);
+  return transform(
+    LMS_TO_OKLAB,
+    /** @type {Vec3} */ (lms.map((c) => Math.cbrt(Math.max(c, 0))))
+  );
+}
+
+/**
+ * @param {Vec3} color - Oklab color
+ * @returns {Vec3} linear sRGB color
+ */
+function oklabToLinear(color) {
+  const lms = transform(OKLAB_TO_LMS, color);
+  return transform(
+    LMS_TO_LINEAR,
+    /** @type {Vec3} */ (lms.map((c) => c * c * c))
+  );
+}
+
+/**
+ * Port of the `blendLayer()` GLSL function.
+ *
+ * @param {number} space - blend space index
+ * @param {Vec3} base - base sRGB color
+ * @param {Vec3} color - layer sRGB color
+ * @param {number} mode - blend mode index
+ * @param {number} opacity - layer opacity
+ * @returns {Vec3} blended sRGB color
+ */
+function blendLayer(space, base, color, mode, opacity) {
+  if (space === 0) {
+    const blended = /** @type {Vec3} */ (
+      base.map((c, i) => blendChannel(mode, c, color[i]))
+    );
+    return blendNormal(base, blended, opacity);
+  }
+
+  const linearBase = srgbToLinear(base);
+  const linearColor = srgbToLinear(color);
+  const blended = /** @type {Vec3} */ (
+    linearBase.map((c, i) => blendChannel(mode, c, linearColor[i]))
+  );
+
+  if (space === 1) {
+    return linearToSrgb(blendNormal(linearBase, blended, opacity));
+  }
+
+  return linearToSrgb(
+    oklabToLinear(
+      blendNormal(linearToOklab(linearBase), linearToOklab(blended), opacity)
+    )
+  );
+}
+
+// ---------------------------------------------------------------------
+// Shaders
+// ---------------------------------------------------------------------
+
+/**
+ * Vertex shader output.
+ *
+ * @typedef {{
+ *   x: number,
+ *   y: number,
+ *   color: Vec3,
+ * }} ShadedVertex
+ */
+
+/**
+ * Creates a port of the vertex shader for the given image size and
+ * options. The shader maps a clip space position on the plane to its
+ * displaced pixel position, with the y axis pointing down, and its sRGB
+ * color.
+ *
+ * @param {number} width - image width in pixels
+ * @param {number} height - image height in pixels
+ * @param {WaveGradientOptions} [options] - gradient options
+ * @param {Element} [element] - element to resolve CSS variables from
+ * @throws {TypeError} if an option is invalid
+ * @returns {(x: number, y: number) => ShadedVertex} vertex shader
+ */
+export function createVertexShader(width, height, options, element) {
+  const { amplitude, blendSpace, colors, seed, time } = resolveOptions(options);
+  const space = getBlendSpace(blendSpace);
+  const state = createState({ amplitude, colors, seed }, element);
+  const noiseTime = time * 5e-6;
+  const displacement = amplitude * (2 / height);
+
+  return (x, y) => {
+    const noiseX = width * x * 14e-5;
+    const noiseY = height * y * 29e-5;
+
+    let noise = snoise(
+      noiseX * 3 + noiseTime * 3,
+      noiseY * 4,
+      noiseTime * 10 + state.seed
+    );
+
+    // Fade the displacement to 0 at the top and bottom edges
+    noise *= 1 - Math.pow(Math.abs(y), 2);
+    noise = Math.max(0, noise);
+
+    /** @type {Vec3} */
+    let color = /** @type {Vec3} */ (state.baseColor.slice(0, 3));
+    for (const layer of state.waveLayers) {
+      let noise = snoise(
+        noiseX * layer.noiseFreq[0] + noiseTime * layer.noiseFlow,
+        noiseY * layer.noiseFreq[1],
+        noiseTime * layer.noiseSpeed + layer.noiseSeed
+      );
+      noise = noise / 2 + 0.5;
+      noise = smoothstep(layer.noiseFloor, layer.noiseCeil, noise);
+      color = blendLayer(
+        space,
+        color,
+        /** @type {Vec3} */ (layer.color),
+        layer.blendMode,
+        Math.pow(noise, 4) * layer.opacity
+      );
+    }
+
+    // Clip space to pixel coordinates, with the y axis pointing down
+    return {
+      x: ((x + 1) / 2) * width,
+      y: ((1 - (y + noise * displacement)) / 2) * height,
+      color,
+    };
+  };
+}
+
+/**
+ * Port of the edge shading of the fragment shader. Darkens a color in
+ * place by the amount each channel lacks in the tint.
+ *
+ * @param {number[]} color - sRGB color
+ * @param {Shading} shading - shading uniform values
+ * @param {number} x - pixel x coordinate
+ * @param {number} y - pixel y coordinate, pointing down
+ * @param {number} width - image width in pixels
+ * @param {number} height - image height in pixels
+ */
+export function applyShading(color, shading, x, y, width, height) {
+  const { edges, slope, strength, power, tint } = shading;
+  const stX = x / width;
+  const stY = 1 - y / height;
+
+  /** @type {(t: number, s: number) => number} */
+  const edgeShading = (t, s) => Math.pow(Math.max(t + slope * s, 0), power);
+  const amount =
+    edges[0] * edgeShading(stY, stX) +
+    edges[1] * edgeShading(stX, 1 - stY) +
+    edges[2] * edgeShading(1 - stY, 1 - stX) +
+    edges[3] * edgeShading(1 - stX, stY);
+
+  for (let i = 0; i < 3; i++) color[i] -= amount * strength * (1 - tint[i]);
+}
+
+// ---------------------------------------------------------------------
+// Post-processing
+// ---------------------------------------------------------------------
+
+/**
+ * Fractional part of a number, like the GLSL `fract()`.
+ *
+ * @param {number} x - number
+ * @returns {number} fractional part
+ */
+function fract(x) {
+  return x - Math.floor(x);
+}
+
+/**
+ * Port of the `hash()` GLSL function, a pseudo-random value between 0
+ * and 1.
+ *
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @param {number} z - z coordinate
+ * @returns {number} random value
+ */
+function hash(x, y, z) {
+  x = fract(x * 0.1031);
+  y = fract(y * 0.1031);
+  z = fract(z * 0.1031);
+  const d = x * (z + 31.32) + y * (y + 31.32) + z * (x + 31.32);
+  return fract((x + y + 2 * d) * (z + d));
+}
+
+/**
+ * Port of the `grain()` GLSL function, smoothed value noise between 0
+ * and 1.
+ *
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @param {number} seed - grain seed
+ * @returns {number} grain value
+ */
+function grainAt(x, y, seed) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = smoothstep(0, 1, x - ix);
+  const fy = smoothstep(0, 1, y - iy);
+  const bottom = mix(hash(ix, iy, seed), hash(ix + 1, iy, seed), fx);
+  const top = mix(hash(ix, iy + 1, seed), hash(ix + 1, iy + 1, seed), fx);
+  return mix(bottom, top, fy);
+}
+
+/**
+ * Port of the `bayer2()` GLSL function, the ordered dithering threshold
+ * of a pixel in a 2x2 Bayer matrix.
+ *
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @returns {number} threshold between 0 and 1
+ */
+function bayer2(x, y) {
+  x = Math.floor(x);
+  y = Math.floor(y);
+  return fract(x / 2 + y * y * 0.75);
+}
+
+/**
+ * Port of the `bayer8()` GLSL function, the ordered dithering threshold
+ * of a pixel in an 8x8 Bayer matrix.
+ *
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @returns {number} threshold between 0 and 1
+ */
+function bayer8(x, y) {
+  x %= 8;
+  y %= 8;
+  return (
+    bayer2(x * 0.25, y * 0.25) * 0.0625 +
+    bayer2(x * 0.5, y * 0.5) * 0.25 +
+    bayer2(x, y)
+  );
+}
+
+/**
+ * Port of the `interleavedGradientNoise()` GLSL function, the noise
+ * dithering threshold of a pixel.
+ *
+ * @param {number} x - x coordinate
+ * @param {number} y - y coordinate
+ * @returns {number} threshold between 0 and 1
+ */
+function interleavedGradientNoise(x, y) {
+  return fract(52.9829189 * fract(x * 0.06711056 + y * 0.00583715));
+}
+
+/**
+ * Port of the film grain and dithering of the fragment shader. Changes
+ * a color in place.
+ *
+ * @param {number[]} color - sRGB color
+ * @param {number} dithering - `u_Dithering` uniform value
+ * @param {Grain} grain - grain settings
+ * @param {number} seed - `u_GrainSeed` uniform value
+ * @param {number} x - pixel x coordinate
+ * @param {number} y - pixel y coordinate, pointing up like
+ * `gl_FragCoord`
+ */
+function applyPostProcessing(color, dithering, grain, seed, x, y) {
+  let offset = 0;
+  if (grain.intensity > 0) {
+    const value = grainAt(x / grain.size, y / grain.size, seed);
+    offset += (value - 0.5) * grain.intensity;
+  }
+  if (dithering === 1) {
+    offset += (bayer8(x, y) - 0.5) / 255;
+  } else if (dithering === 2) {
+    offset += (interleavedGradientNoise(x, y) - 0.5) / 255;
+  }
+  for (let i = 0; i < 3; i++) color[i] += offset;
+}
+
+// ---------------------------------------------------------------------
+// Renderer
+// ---------------------------------------------------------------------
+
+/**
+ * Renders a single frame of a gradient to an RGBA pixel buffer without
+ * WebGL. The options are the same as the `WaveGradient` options. Only
+ * `time` is used to pick the frame, while the playback related options
+ * and `wireframe` are ignored.
+ *
+ * Colors can't reference CSS variables since there is no element to
+ * resolve them from.
+ *
+ * @param {number} width - image width in pixels
+ * @param {number} height - image height in pixels
+ * @param {WaveGradientOptions} [options] - gradient options
+ * @throws {TypeError} if an option is invalid
+ * @returns {WaveGradientImageData} rendered image
+ */
+export function renderGradient(width, height, options) {
+  const shadeVertex = createVertexShader(width, height, options);
+  const data = new Uint8ClampedArray(width * height * 4);
+  if (width <= 0 || height <= 0) return { width, height, data };
+
+  const resolved = resolveOptions(options);
+  const { density } = resolved;
+  const shading = createShading(resolved.shading);
+  const dithering = getDithering(resolved.dithering);
+  const grain = createGrain(resolved.grain);
+  const grainSeed = getGrainSeed(grain, resolved.time);
+  const geometry = ClipSpace.createPlaneGeometry(
+    width * density[0],
+    height * density[1]
+  );
+  const positions = new Float32Array(geometry.positions);
+  const indices = new Uint32Array(geometry.indices);
+
+  // Vertex stage ------------------------------------------------------
+
+  const vertexCount = positions.length / 3;
+  const screenX = new Float64Array(vertexCount);
+  const screenY = new Float64Array(vertexCount);
+  /** @type {Vec3[]} */
+  const vertexColors = new Array(vertexCount);
+
+  for (let v = 0; v < vertexCount; v++) {
+    const { x, y, color } = shadeVertex(positions[v * 3], positions[v * 3 + 1]);
+    screenX[v] = x;
+    screenY[v] = y;
+    vertexColors[v] = color;
+  }
+
+  // Rasterization -----------------------------------------------------
+
+  // Triangles are drawn in order, later ones over the earlier ones, the
+  // same as WebGL without depth testing.
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t];
+    const b = indices[t + 1];
+    const c = indices[t + 2];
+
+    // Twice the signed area. The y axis points down, so the front
+    // (counter-clockwise) faces have a negative area. Back faces are
+    // culled like with `gl.CULL_FACE`.
+    const area =
+      (screenX[b] - screenX[a]) * (screenY[c] - screenY[a]) -
+      (screenX[c] - screenX[a]) * (screenY[b] - screenY[a]);
+    if (area >= 0) continue;
+
+    const minX = Math.max(
+      Math.floor(Math.min(screenX[a], screenX[b], screenX[c])),
+      0
+    );
+    const maxX = Math.min(
+      Math.ceil(Math.max(screenX[a], screenX[b], screenX[c])),
+      width
+    );
+    const minY = Math.max(
+      Math.floor(Math.min(screenY[a], screenY[b], screenY[c])),
+      0
+    );
+    const maxY = Math.min(
+      Math.ceil(Math.max(screenY[a], screenY[b], screenY[c])),
+      height
+    );
+
+    for (let py = minY; py < maxY; py++) {
+      for (let px = minX; px < maxX; px++) {
+        // Sample at the pixel center
+        const x = px + 0.5;
+        const y = py + 0.5;
+
+        // Barycentric weights of the vertices
+        const wa =
+          ((screenX[c] - screenX[b]) * (y - screenY[b]) -
+            (x - screenX[b]) * (screenY[c] - screenY[b])) /
+          area;
+        const wb =
+          ((screenX[a] - screenX[c]) * (y - screenY[c]) -
+            (x - screenX[c]) * (screenY[a] - screenY[c])) /
+          area;
+        const wc = 1 - wa - wb;
+        if (wa < 0 || wb < 0 || wc < 0) continue;
+
+        // Fragment stage, see `.frag`
+        const [ra, ga, ba] = vertexColors[a];
+        const [rb, gb, bb] = vertexColors[b];
+        const [rc, gc, bc] = vertexColors[c];
+        const color = [
+          ra * wa + rb * wb + rc * wc,
+          ga * wa + gb * wb + gc * wc,
+          ba * wa + bb * wb + bc * wc,
+        ];
+        applyShading(color, shading, x, y, width, height);
+        applyPostProcessing(color, dithering, grain, grainSeed, x, height - y);
+
+        const i = (py * width + px) * 4;
+        data[i] = color[0] * 255;
+        data[i + 1] = color[1] * 255;
+        data[i + 2] = color[2] * 255;
+        data[i + 3] = 255;
+      }
+    }
+  }
+
+  return { width, height, data };
+}
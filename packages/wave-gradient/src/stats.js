@@ -0,0 +1,94 @@
+// ---------------------------------------------------------------------
+//
+// Frame statistics of the render loop, reported by
+// `WaveGradient.getStats()`.
+//
+// ---------------------------------------------------------------------
+
+/**
+ * Rendering statistics of a gradient.
+ *
+ * @typedef {object} WaveGradientStats
+ * @property {number} fps Frames rendered in the last second.
+ * @property {number} frames Frames rendered by the render loop.
+ * @property {number} droppedFrames Frames the render loop missed at the
+ * `fps` option rate, e.g. because the main thread was busy.
+ * @property {number} width Drawing buffer width in pixels.
+ * @property {number} height Drawing buffer height in pixels.
+ * @property {number} vertexCount Number of vertices of the geometry.
+ * @property {number} indexCount Number of indices of the geometry.
+ */
+
+/**
+ * Duration in milliseconds over which the frame rate is measured.
+ */
+const FPS_WINDOW = 1000;
+
+/**
+ * Counts the frames rendered and dropped by the render loop.
+ */
+export class FrameStats {
+  constructor() {
+    /**
+     * Frames rendered by the render loop.
+     *
+     * @type {number}
+     */
+    this.frames = 0;
+
+    /**
+     * Frames the render loop missed.
+     *
+     * @type {number}
+     */
+    this.droppedFrames = 0;
+
+    /**
+     * Timestamps of the frames rendered in the last `FPS_WINDOW`.
+     *
+     * @private
+     * @type {number[]}
+     */
+    this.timestamps = [];
+  }
+
+  /**
+   * Records a rendered frame.
+   *
+   * @param {number} now - frame timestamp
+   * @param {number} delta - time since the previous frame was due
+   * @param {number} frameInterval - time between frames at the `fps`
+   * option rate
+   */
+  record(now, delta, frameInterval) {
+    this.frames++;
+    this.droppedFrames += Math.max(Math.floor(delta / frameInterval) - 1, 0);
+    this.timestamps.push(now);
+    this.prune(now);
+  }
+
+  /**
+   * Gets the number of frames rendered in the last second.
+   *
+   * @param {number} now - current timestamp
+   * @returns {number} frames per second
+   */
+  getFPS(now) {
+    this.prune(now);
+    return this.timestamps.length;
+  }
+
+  /**
+   * Forgets the timestamps of the frames that are out of the measured
+   * window.
+   *
+   * @private
+   * @param {number} now - current timestamp
+   */
+  prune(now) {
+    const { timestamps } = this;
+    while (timestamps.length && now - timestamps[0] >= FPS_WINDOW) {
+      timestamps.shift();
+    }
+  }
+}
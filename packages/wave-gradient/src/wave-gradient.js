@@ -1,679 +1,1942 @@
-import { vert, frag } from "./shaders";
+import { ClipSpace } from "./clip-space";
+import { createContext, getShaders, setupContext } from "./context";
+import { applyCSSFallback } from "./css-gradient";
+import { applyShaderHooks, createCustomUniforms } from "./hooks";
+import { canvasToBlob, createImageCanvas } from "./image";
+import { addChangeListener, removeChangeListener } from "./media-query";
+import {
+  MAX_WAVE_LAYERS,
+  createGrain,
+  createInteraction,
+  createShading,
+  createState,
+  createTimeSource,
+  getBlendSpace,
+  getDithering,
+  getGrainSeed,
+  resolveOptions,
+  validateUpdate,
+} from "./options";
+import { observePointer } from "./pointer";
+import { QualityController, getQualitySettings } from "./quality";
+import { measureSize, observeSize } from "./resize";
+import { observeScroll } from "./scroll";
+import { FrameStats } from "./stats";
+import { WaveGradientWorker } from "./worker-proxy";
+
+export { ClipSpace } from "./clip-space";
+export { WaveGradientRenderer } from "./renderer";
+export { renderGradient } from "./software-renderer";
+export { toCSSGradient } from "./css-gradient";
 
 // ---------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------
 
 /**
- * Converts an RGB hex color string to a an array of color values.
+ * Linearly interpolates between two numbers.
  *
- * @param {string} hex - hex color string
- * @returns {number[] | null} color values
+ * @param {number} a - start value
+ * @param {number} b - end value
+ * @param {number} t - interpolation factor between 0 and 1
+ * @returns {number} interpolated value
  */
-function parseRGB(hex) {
-  const result =
-    hex.match(/^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i) ||
-    hex.match(/^#?([a-f\d])([a-f\d])([a-f\d])$/i); // Short form #fff
-  return result
-    ? result.slice(1, 4).map((c) => {
-        return parseInt(c.length < 2 ? c + c : c, 16) / 255;
-      })
-    : null;
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Cubic ease-in-out easing function.
+ *
+ * @param {number} t - linear progress between 0 and 1
+ * @returns {number} eased progress
+ */
+function easeInOut(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Shallow compares two arrays.
+ *
+ * @param {any[]} a - first array
+ * @param {any[]} b - second array
+ * @returns {boolean} whether the arrays have the same items
+ */
+function arrayEquals(a, b) {
+  return a.length === b.length && a.every((item, i) => item === b[i]);
 }
 
 // ---------------------------------------------------------------------
-// ClipSpace
+// WaveGradient
 // ---------------------------------------------------------------------
 
+/** @typedef {import("./clip-space").ClipSpaceUniformType} ClipSpaceUniformType */
+/** @typedef {import("./options").WaveGradientOptions} WaveGradientOptions */
+/** @typedef {import("./options").WaveGradientColor} WaveGradientColor */
+/** @typedef {import("./options").WaveGradientLayer} WaveGradientLayer */
+/** @typedef {import("./options").WaveGradientBlendMode} WaveGradientBlendMode */
+/** @typedef {import("./options").WaveGradientBlendSpace} WaveGradientBlendSpace */
+/** @typedef {import("./options").WaveLayer} WaveLayer */
+/** @typedef {import("./options").WaveGradientState} WaveGradientState */
+/** @typedef {import("./options").Shading} Shading */
+/** @typedef {import("./options").Grain} Grain */
+/** @typedef {import("./options").Interaction} Interaction */
+/** @typedef {import("./options").TimeSource} TimeSource */
+/** @typedef {import("./pointer").WaveGradientPointer} WaveGradientPointer */
+/** @typedef {import("./pointer").PointerObserver} PointerObserver */
+/** @typedef {import("./scroll").ScrollObserver} ScrollObserver */
+/** @typedef {import("./resize").WaveGradientSize} WaveGradientSize */
+/** @typedef {import("./stats").WaveGradientStats} WaveGradientStats */
+/** @typedef {import("./quality").QualitySettings} QualitySettings */
+/** @typedef {import("./quality").WaveGradientAdaptiveQuality} WaveGradientAdaptiveQuality */
+/** @typedef {import("./hooks").WaveGradientUniforms} WaveGradientUniforms */
+
 /**
- * Clip space plane geometry
+ * Options for rendering a frame to an image.
  *
- * @typedef {{
- *   positions: ArrayBuffer,
- *   indices: ArrayBuffer,
- *   count: number
- * }} ClipSpacePlaneGeometry
+ * @typedef {object} WaveGradientImageOptions
+ * @property {number} [width] Image width in pixels. Defaults to the
+ * canvas width.
+ * @property {number} [height] Image height in pixels. Defaults to the
+ * canvas height.
+ * @property {number} [time] Animation time of the frame in
+ * milliseconds. Defaults to the current time.
+ */
+
+/** @typedef {number} DOMHighResTimeStamp */
+
+/**
+ * Detail of the `frame` event, dispatched for every frame rendered by
+ * the render loop.
+ *
+ * @typedef {object} WaveGradientFrameDetail
+ * @property {number} time Animation time of the frame in milliseconds.
+ * @property {number} delta Time since the previous frame was due in
+ * milliseconds.
+ * @property {number} drawCount Number of indices drawn.
  */
 
 /**
- * @typedef {{
- *   gl: WebGL2RenderingContext,
- *   shaders: [string, string],
- *   attributes: Object<string, ArrayBuffer>,
- *   elements: ArrayBuffer,
- *   uniforms: any,
- * }} ClipSpaceConfig
+ * Detail of the `resize` event, dispatched once the geometry is
+ * regenerated for a new display size.
+ *
+ * @typedef {WaveGradientSize & {
+ *   vertexCount: number,
+ *   indexCount: number,
+ * }} WaveGradientResizeDetail
  */
 
 /**
- * @typedef {{
- *   buffer: WebGLBuffer,
- *   location: number,
- * }} AttributeInfo
+ * Options for `WaveGradient.transitionTo()`.
+ *
+ * @typedef {object} WaveGradientTransitionOptions
+ * @property {number} [duration] Duration of the transition in
+ * milliseconds.
+ * @property {(t: number) => number} [easing] Easing function. Maps the
+ * linear progress of the transition (0 to 1) to the eased progress.
  */
 
 /**
+ * In-progress transition.
+ *
  * @typedef {{
- *   type: ClipSpaceUniformType,
- *   value: number | Array<ClipSpaceUniform>,
- * }} ClipSpaceUniform
+ *   from: WaveGradientState,
+ *   to: WaveGradientState,
+ *   current: WaveGradientState,
+ *   start: DOMHighResTimeStamp,
+ *   duration: number,
+ *   easing: (t: number) => number,
+ *   resolve: () => void,
+ * }} WaveGradientTransition
  */
 
-/** @typedef { "1f" | "2f" | "3f" | "1i" } ClipSpaceUniformType */
+/**
+ * Delay in milliseconds after the last resize before the geometry is
+ * regenerated.
+ */
+const GEOMETRY_UPDATE_DELAY = 150;
 
 /**
- * Class that encapsulates the creation and state management of a WebGL
- * program and related attributes and uniforms.
+ * Uniform types of the `WaveLayers` struct members.
  *
- * Some inspiration from [Phenomenon
- * library](https://github.com/vaneenige/phenomenon).
+ * @type {Object<string, ClipSpaceUniformType>}
  */
-class ClipSpace {
-  /**
-   * Creates clip space plane geometry.
-   *
-   * This plane is created for WEBGL clip space, this means it has a
-   * width and depth of 2 and the positions of the vertices go from -1
-   * to 1 in the X and Y axis, while the Z axis goes from 0 to 1 to
-   * match the default near and far values for the depth buffer.
-   *
-   * Note that I am not using the depth buffer since enabling the depth
-   * test increases GPU usage (at least on my laptops's iGPU). Since the
-   * depth test is disabled, I had to order the vertices back to front
-   * (far to near) to get the correct order of the fragments.
-   *
-   * @param {number} widthSegments Width of the plane
-   * @param {number} depthSegments depth of the plane
-   * @returns {ClipSpacePlaneGeometry} Plane geometry
-   */
-  static createPlaneGeometry(widthSegments, depthSegments) {
-    const gridX = Math.ceil(widthSegments);
-    const gridZ = Math.ceil(depthSegments);
-
-    // Prepare the typed arrays for the indexed geometry
-    const vertexCount = 3 * (gridX + 1) * (gridZ + 1);
-    const indexCount = 3 * 2 * gridX * gridZ;
-    const positions = new ArrayBuffer(4 * vertexCount);
-    const indices = new ArrayBuffer(4 * indexCount);
-
-    // Create the vertex positions
-    for (let z = gridZ, i = 0, view = new DataView(positions); z >= 0; z--) {
-      const v = z / gridZ;
-      const clipY = v * 2 - 1;
-      for (let x = gridX; x >= 0; x--, i += 3) {
-        const clipX = (x / gridX) * 2 - 1;
-        view.setFloat32((i + 0) * 4, clipX, true);
-        view.setFloat32((i + 1) * 4, clipY, true);
-        view.setFloat32((i + 2) * 4, v, true);
+const WAVE_LAYER_TYPES = {
+  noiseCeil: "1f",
+  noiseFloor: "1f",
+  noiseFlow: "1f",
+  noiseSeed: "1f",
+  noiseSpeed: "1f",
+  noiseFreq: "2f",
+  color: "3f",
+  opacity: "1f",
+  blendMode: "1i",
+};
+
+/**
+ * Interpolates between two gradient states. Both states must have the
+ * same number of wave layers.
+ *
+ * @param {WaveGradientState} from - start state
+ * @param {WaveGradientState} to - end state
+ * @param {number} t - interpolation factor between 0 and 1
+ * @returns {WaveGradientState} interpolated state
+ */
+function mixState(from, to, t) {
+  /**
+   * @param {any} a - start value
+   * @param {any} b - end value
+   * @returns {any} interpolated value
+   */
+  const mix = (a, b) =>
+    Array.isArray(a)
+      ? a.map((value, i) => lerp(value, b[i], t))
+      : lerp(a, b, t);
+
+  return {
+    amplitude: mix(from.amplitude, to.amplitude),
+    seed: mix(from.seed, to.seed),
+    baseColor: mix(from.baseColor, to.baseColor),
+    waveLayers: from.waveLayers.map((layer, i) => {
+      /** @type {any} */
+      const mixed = {};
+      /** @type {Record<string, any>} */
+      const target = to.waveLayers[i];
+      for (const [name, value] of Object.entries(layer)) {
+        mixed[name] = mix(value, target[name]);
+      }
+      // Blend modes can't be interpolated so they switch right away
+      mixed.blendMode = to.waveLayers[i].blendMode;
+      return mixed;
+    }),
+  };
+}
+
+/**
+ * Creates the quality controller for the `adaptiveQuality` option.
+ *
+ * @param {WebGLRenderingContext | WebGL2RenderingContext} gl - WebGL
+ * context
+ * @param {boolean | WaveGradientAdaptiveQuality} adaptiveQuality - option
+ * value
+ * @returns {QualityController | undefined} controller, if the option is
+ * enabled
+ */
+function createQualityController(gl, adaptiveQuality) {
+  if (!adaptiveQuality) return undefined;
+  return new QualityController(
+    gl,
+    adaptiveQuality === true ? {} : adaptiveQuality
+  );
+}
+
+/**
+ * Class that recreates the https://stripe.com animated gradient.
+ *
+ * It dispatches `frame`, `resize`, `play`, `pause`, `contextlost`,
+ * `contextrestored` and `error` events.
+ */
+export class WaveGradient extends EventTarget {
+  /**
+   * Create a gradient instance. The element must be a canvas HTML
+   * element. With the `worker` option, a proxy with the same API that
+   * renders the gradient in a worker is returned instead.
+   *
+   * @param {HTMLCanvasElement} canvas - canvas element
+   * @param {WaveGradientOptions} options - gradient options
+   * @throws {TypeError} if the canvas element is not a valid canvas
+   * element or if an option is invalid
+   * @throws {Error} if it can't acquire a WebGL context, after applying
+   * the CSS fallback if it is enabled
+   */
+  constructor(canvas, options) {
+    super();
+
+    // Render in a worker if requested and supported. The returned proxy
+    // has the same public API. A shared renderer can't be used from a
+    // worker, so it takes precedence.
+    if (
+      options?.worker &&
+      !options.renderer &&
+      "transferControlToOffscreen" in canvas
+    ) {
+      return /** @type {any} */ (new WaveGradientWorker(canvas, options));
+    }
+
+    // get a WebGL2 rendering context, or a WebGL 1 one if WebGL2 is not
+    // supported. With a shared renderer, the frames are drawn with its
+    // context and copied to the canvas with a 2D context.
+    const renderer = options?.renderer ?? null;
+    const gl = renderer ? renderer.gl : createContext(canvas);
+    const context = renderer ? canvas.getContext("2d") : null;
+    if (!gl || (renderer && !context)) {
+      // Approximate the gradient with CSS on the parent element before
+      // giving up, if the fallback is enabled
+      if (options?.fallback) applyCSSFallback(canvas, options);
+      throw new Error("can't get WebGL context");
+    }
+
+    // mix in default options
+    const {
+      adaptiveQuality,
+      amplitude,
+      blendSpace,
+      colors,
+      density,
+      dithering,
+      fallback,
+      fps,
+      grain,
+      interaction,
+      maxPixelRatio,
+      motion,
+      pauseWhenHidden,
+      pixelRatio,
+      renderScale,
+      seed,
+      shading,
+      shaderHooks,
+      speed,
+      time,
+      timeSource,
+      uniforms,
+      wireframe,
+      worker,
+    } = resolveOptions(options);
+
+    // The program of a shared renderer is already compiled, its shader
+    // hooks and uniforms are passed to the renderer instead
+    if (renderer && options?.shaderHooks) {
+      throw new TypeError(
+        "can't use shader hooks with a shared renderer, pass them to the renderer"
+      );
+    }
+    const declaredUniforms = renderer ? renderer.uniforms : uniforms;
+    const customUniforms = createCustomUniforms(declaredUniforms, uniforms);
+
+    // get canvas display (css) dimensions. The drawing buffer is sized
+    // from them once the options are set.
+    const size = measureSize(canvas);
+
+    // set up the WebGL state
+    const uint16Indices = setupContext(gl);
+
+    // The quality tier scales the density, render scale and fps options
+    const quality = createQualityController(gl, adaptiveQuality);
+    const qualitySettings = quality?.settings ?? getQualitySettings(0);
+
+    // create the initial plane geometry
+    const geometry = ClipSpace.createPlaneGeometry(
+      size.width * density[0] * qualitySettings.density,
+      size.height * density[1] * qualitySettings.density,
+      uint16Indices
+    );
+
+    // Uniforms are created for all the supported wave layers (not only
+    // the used ones) so that the number of layers can be changed later
+    // without re-creating the program.
+    const { baseColor, waveLayers } = createState(
+      { amplitude, colors, seed },
+      canvas
+    );
+    const { edges, slope, strength, power, tint } = createShading(
+      shading,
+      canvas
+    );
+    const grainValues = createGrain(grain);
+    const interactionValues = createInteraction(interaction);
+    const timeSourceValues = createTimeSource(timeSource);
+
+    // create the clip space
+    const clipSpace = new ClipSpace({
+      gl,
+      shaders: applyShaderHooks(getShaders(gl), shaderHooks, uniforms),
+      shared: renderer?.clipSpace,
+      attributes: { position: geometry.positions },
+      elements: geometry.indices,
+      elementType: uint16Indices ? gl.UNSIGNED_SHORT : gl.UNSIGNED_INT,
+      uniforms: {
+        amplitude: { value: amplitude, type: "1f" },
+        blendSpace: { value: getBlendSpace(blendSpace), type: "1i" },
+        baseColor: { value: baseColor, type: "3f" },
+        realtime: { value: time, type: "1f" },
+        resolution: { value: [size.width, size.height], type: "2f" },
+        pixelRatio: { value: 1, type: "1f" },
+        seed: { value: seed, type: "1f" },
+        shadingEdges: { value: edges, type: "4f" },
+        shadingSlope: { value: slope, type: "1f" },
+        shadingStrength: { value: strength, type: "1f" },
+        shadingPower: { value: power, type: "1f" },
+        shadingTint: { value: tint, type: "3f" },
+        dithering: { value: getDithering(dithering), type: "1i" },
+        grainIntensity: { value: grainValues.intensity, type: "1f" },
+        grainSize: { value: grainValues.size, type: "1f" },
+        grainSeed: { value: getGrainSeed(grainValues, time), type: "1f" },
+        interactionMode: { value: interactionValues.mode, type: "1i" },
+        interactionRadius: { value: interactionValues.radius, type: "1f" },
+        interactionStrength: { value: interactionValues.strength, type: "1f" },
+        pointerPosition: { value: [0, 0], type: "2f" },
+        pointerMovement: { value: [0, 0], type: "2f" },
+        pointerIntensity: { value: 0, type: "1f" },
+        layerCount: { value: waveLayers.length, type: "1i" },
+        waveLayers: {
+          value: Array.from({ length: MAX_WAVE_LAYERS }, (_, i) => {
+            /** @type {any} */
+            const layer = waveLayers[i] ?? {};
+            /** @type {Object<string, object>} */
+            const members = {};
+            for (const [name, type] of Object.entries(WAVE_LAYER_TYPES)) {
+              members[name] = { value: layer[name], type };
+            }
+            return members;
+          }),
+        },
+        ...customUniforms,
+      },
+    });
+
+    /**
+     * @private
+     * @type {Required<Omit<WaveGradientOptions, "time">>}
+     */
+    this.options = {
+      adaptiveQuality,
+      amplitude,
+      blendSpace,
+      colors,
+      density,
+      dithering,
+      fallback,
+      fps,
+      grain,
+      interaction,
+      maxPixelRatio,
+      motion,
+      pauseWhenHidden,
+      pixelRatio,
+      renderScale,
+      renderer,
+      seed,
+      shading,
+      shaderHooks,
+      speed,
+      timeSource,
+      uniforms,
+      wireframe,
+      worker,
+    };
+
+    /**
+     * Uniforms declared in the program, with their default values.
+     *
+     * @private
+     * @type {WaveGradientUniforms}
+     */
+    this.declaredUniforms = declaredUniforms;
+
+    /**
+     * Film grain settings resolved from the `grain` option. The seed is
+     * updated with the time of each frame.
+     *
+     * @private
+     * @type {Grain}
+     */
+    this.grain = grainValues;
+
+    /**
+     * Pointer interaction settings resolved from the `interaction`
+     * option.
+     *
+     * @private
+     * @type {Interaction}
+     */
+    this.interaction = interactionValues;
+
+    /**
+     * State of the pointer for the `interaction` option, in CSS pixels
+     * from the bottom left corner of the canvas. `movement` is the
+     * movement since the last frame.
+     *
+     * @private
+     * @type {{ x: number, y: number, active: boolean, movement: number[] }}
+     */
+    this.pointer = { x: 0, y: 0, active: false, movement: [0, 0] };
+
+    /**
+     * Uniform values of the pointer, which fade in and out over time.
+     *
+     * @private
+     * @type {{ intensity: number, movement: number[] }}
+     */
+    this.pointerUniforms = { intensity: 0, movement: [0, 0] };
+
+    /**
+     * @private
+     * @type {PointerObserver | undefined}
+     */
+    this.pointerObserver = undefined;
+
+    /**
+     * Time source resolved from the `timeSource` option.
+     *
+     * @private
+     * @type {TimeSource}
+     */
+    this.timeSource = timeSourceValues;
+
+    /**
+     * Scroll progress of the `"scroll"` time source, from 0 to 1.
+     *
+     * @private
+     * @type {number}
+     */
+    this.scrollProgress = 0;
+
+    /**
+     * @private
+     * @type {ScrollObserver | undefined}
+     */
+    this.scrollObserver = undefined;
+
+    /**
+     * Canvas the gradient is shown on.
+     *
+     * @private
+     * @type {HTMLCanvasElement}
+     */
+    this.canvas = canvas;
+
+    /**
+     * WebGL context, shared with other gradients if `renderer` is set.
+     *
+     * @private
+     * @type {WebGLRenderingContext | WebGL2RenderingContext}
+     */
+    this.gl = gl;
+
+    /**
+     * Shared renderer the frames are drawn with, if any.
+     *
+     * @private
+     * @type {import("./renderer").WaveGradientRenderer | null}
+     */
+    this.renderer = renderer;
+
+    /**
+     * 2D context of the canvas the frames of the shared renderer are
+     * copied to.
+     *
+     * @private
+     * @type {CanvasRenderingContext2D | null}
+     */
+    this.context = context;
+
+    /**
+     * Size of the viewport, set again before drawing with a shared
+     * renderer since the other gradients change it.
+     *
+     * @private
+     * @type {{ width: number, height: number }}
+     */
+    this.viewport = { width: canvas.width, height: canvas.height };
+
+    /**
+     * @private
+     * @type {ClipSpace}
+     */
+    this.clipSpace = clipSpace;
+
+    /**
+     * Adaptive quality controller, if the `adaptiveQuality` option is
+     * enabled.
+     *
+     * @private
+     * @type {QualityController | undefined}
+     */
+    this.quality = quality;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.frameInterval = 1000 / (fps * qualitySettings.fps);
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.lastFrameTime = 0;
+
+    /**
+     * @private
+     * @type {number | undefined}
+     */
+    this.frameRequest = undefined;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.playing = false;
+
+    /**
+     * Whether rendering is suspended because the canvas is hidden.
+     *
+     * @private
+     */
+    this.suspended = false;
+
+    /** @private */
+    this.intersecting = true;
+
+    /**
+     * @private
+     * @type {IntersectionObserver | undefined}
+     */
+    this.intersectionObserver = undefined;
+
+    /**
+     * @private
+     * @type {() => void}
+     */
+    this.onVisibilityChange = () => {
+      this.updateSuspended();
+    };
+
+    /**
+     * Whether only a static frame is rendered because of the `motion`
+     * option or the user preference.
+     *
+     * @private
+     */
+    this.reducedMotion = false;
+
+    /**
+     * @private
+     * @type {MediaQueryList | undefined}
+     */
+    this.reducedMotionQuery = globalThis.matchMedia?.(
+      "(prefers-reduced-motion: reduce)"
+    );
+
+    /**
+     * @private
+     * @type {() => void}
+     */
+    this.onReducedMotionChange = () => {
+      this.updateReducedMotion();
+    };
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.drawMode = wireframe ? this.gl.LINES : this.gl.TRIANGLES;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.drawCount = geometry.count;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.vertexCount = geometry.vertexCount;
+
+    /**
+     * @private
+     * @type {FrameStats}
+     */
+    this.stats = new FrameStats();
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.indexType = uint16Indices ? gl.UNSIGNED_SHORT : gl.UNSIGNED_INT;
+
+    /**
+     * Size the canvas is displayed at.
+     *
+     * @private
+     * @type {WaveGradientSize}
+     */
+    this.size = size;
+
+    /**
+     * @private
+     * @type {ResizeObserver | undefined}
+     */
+    this.resizeObserver = undefined;
+
+    /**
+     * Timeout of the debounced geometry update.
+     *
+     * @private
+     * @type {number | undefined}
+     */
+    this.geometryTimeout = undefined;
+
+    /**
+     * Whether the WebGL context is lost. Nothing is drawn until it's
+     * restored.
+     *
+     * @private
+     */
+    this.contextLost = false;
+
+    /**
+     * `WEBGL_lose_context` extension, used by `loseContext()`.
+     *
+     * @private
+     * @type {{ loseContext: () => void, restoreContext: () => void } | null}
+     */
+    this.loseContextExtension = null;
+
+    /**
+     * `webglcontextlost` event listener.
+     *
+     * @private
+     * @type {(event: Event) => void}
+     */
+    this.onContextLost = (event) => {
+      // Signal that the context can be restored
+      event.preventDefault();
+      this.contextLost = true;
+      this.cancelFrame();
+      this.dispatchEvent(new CustomEvent("contextlost"));
+    };
+
+    /**
+     * @private
+     * @type {() => void}
+     */
+    this.onContextRestored = () => {
+      try {
+        this.restore();
+      } catch (error) {
+        this.dispatchError(error);
+        return;
+      }
+      this.dispatchEvent(new CustomEvent("contextrestored"));
+    };
+
+    /**
+     * @private
+     * @type {WaveGradientTransition | undefined}
+     */
+    this.transition = undefined;
+
+    /**
+     * The time the animation has been running in milliseconds. Can be
+     * set while the animation is running to seek to a specific point in
+     * the animation. The `"scroll"` and function time sources overwrite
+     * it with every frame.
+     *
+     * @type {number}
+     */
+    this.time = time;
+
+    /**
+     * Playback rate of the animation, multiplied by the `speed` option.
+     * For example, `0.5` plays the animation at half speed.
+     *
+     * @type {number}
+     */
+    this.playbackRate = 1;
+
+    // With a shared renderer, the context events are dispatched on its
+    // canvas
+    gl.canvas.addEventListener("webglcontextlost", this.onContextLost);
+    gl.canvas.addEventListener("webglcontextrestored", this.onContextRestored);
+
+    // Size the drawing buffer, then follow the display size. Offscreen
+    // canvases can't be observed, in worker mode their size is sent by
+    // the main thread.
+    this.updateDrawingBuffer();
+    if (typeof ResizeObserver !== "undefined") {
+      this.resizeObserver = observeSize(canvas, (size) => this.resize(size));
+    }
+
+    if (pauseWhenHidden) this.observeVisibility();
+    this.updatePointerObserver();
+    this.updateScrollObserver();
+
+    addChangeListener(this.reducedMotionQuery, this.onReducedMotionChange);
+    this.updateReducedMotion();
+
+    // Start the render loop
+    this.play();
+  }
+
+  /**
+   * Whether the animation is playing.
+   *
+   * @type {boolean}
+   */
+  get isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Current quality tier of the `adaptiveQuality` option, from `-2` to
+   * `2`. Always `0` when the option is disabled.
+   *
+   * @type {number}
+   */
+  get qualityTier() {
+    return this.quality?.tier ?? 0;
+  }
+
+  /**
+   * Starts or resumes playing the animation. The animation continues
+   * from the time it was paused at.
+   */
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this.startLoop();
+    this.dispatchEvent(new CustomEvent("play"));
+  }
+
+  /**
+   * Pauses the animation. The render loop is stopped completely, unless
+   * a transition is in progress, in which case it's stopped when the
+   * transition ends.
+   */
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    if (!this.transition) this.cancelFrame();
+    this.dispatchEvent(new CustomEvent("pause"));
+  }
+
+  /**
+   * Seeks the animation to the given time. The frame at that time is
+   * drawn right away even if the animation is paused.
+   *
+   * @param {number} time - animation time in milliseconds
+   */
+  seek(time) {
+    this.time = time;
+    this.draw();
+  }
+
+  /**
+   * Draws a single frame at the given time without starting the render
+   * loop or changing the current `time`.
+   *
+   * @param {number} [time] - animation time in milliseconds, defaults
+   * to the current time
+   */
+  renderFrame(time = this.time) {
+    this.draw(time);
+  }
+
+  /**
+   * Advances the animation by the given time and renders a frame, with
+   * the `"manual"` time source. Call it from an existing animation
+   * loop, e.g. a GSAP ticker or a Three.js render loop. Like the render
+   * loop, the time is scaled by the speed and the playback rate, and
+   * nothing is rendered while the animation is paused (unless a
+   * transition is in progress), hidden or with reduced motion.
+   *
+   * @param {number} delta - time since the last tick in milliseconds
+   * @throws {Error} if the time source is not `"manual"`
+   */
+  tick(delta) {
+    const { type } = this.timeSource;
+    if (type !== "manual") {
+      throw new Error(`can't tick with the "${type}" time source`);
+    }
+    if (!this.shouldRender()) return;
+
+    const now = performance.now();
+    if (this.quality?.update(now)) this.applyQuality();
+    if (this.playing) this.advanceTime(delta);
+
+    // The frames of the external loop are never counted as dropped
+    this.renderStep(now, delta, Infinity);
+  }
+
+  /**
+   * Renders a frame and returns its pixels. The frame is rendered to an
+   * offscreen framebuffer, so it can have any size and it does not
+   * depend on the state of the canvas drawing buffer.
+   *
+   * @param {WaveGradientImageOptions} [options] - image size and frame
+   * time
+   * @throws {Error} if the frame can't be rendered at the given size or
+   * the WebGL context is lost
+   * @returns {ImageData} frame pixels
+   */
+  getImageData(options) {
+    const { gl, canvas } = this;
+    if (this.contextLost) {
+      throw new Error("can't render a frame while the context is lost");
+    }
+    const {
+      width = canvas.width,
+      height = canvas.height,
+      time = this.time,
+    } = options ?? {};
+
+    // Without a size, the frame is rendered like the canvas shows it.
+    // Otherwise the gradient is laid out for the image size.
+    const sized = options?.width !== undefined || options?.height !== undefined;
+
+    // Render to a texture, since WebGL 1 has no 8-bit RGBA renderbuffers
+    const pixels = new Uint8ClampedArray(4 * width * height);
+    const texture = gl.createTexture();
+    const framebuffer = gl.createFramebuffer();
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      width,
+      height,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      null
+    );
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D,
+      texture,
+      0
+    );
+
+    try {
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error(`can't render a ${width}x${height} frame`);
+      }
+
+      if (sized) {
+        this.setViewport(width, height);
+        this.updateGeometry(width, height);
+      } else {
+        this.setViewport(width, height, this.size);
       }
+      this.drawFrame(time);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    } finally {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.deleteFramebuffer(framebuffer);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      gl.deleteTexture(texture);
+      this.setViewport(canvas.width, canvas.height, this.size);
+      if (sized) this.updateGeometry();
+    }
+
+    // WebGL reads the rows bottom to top, flip them
+    const rowLength = 4 * width;
+    const flipped = new Uint8ClampedArray(pixels.length);
+    for (let y = 0; y < height; y++) {
+      const row = pixels.subarray(y * rowLength, (y + 1) * rowLength);
+      flipped.set(row, (height - y - 1) * rowLength);
+    }
+
+    return new ImageData(flipped, width, height);
+  }
+
+  /**
+   * Renders a frame and encodes it as an image file.
+   *
+   * @param {string} [type] - image MIME type, defaults to `image/png`
+   * @param {number} [quality] - image quality between 0 and 1 for lossy
+   * image types
+   * @param {WaveGradientImageOptions} [options] - image size and frame
+   * time
+   * @returns {Promise<Blob>} image file
+   */
+  async toBlob(type, quality, options) {
+    const canvas = createImageCanvas(this.getImageData(options));
+    return canvasToBlob(canvas, type, quality);
+  }
+
+  /**
+   * Renders a frame and encodes it as a data URL.
+   *
+   * @param {string} [type] - image MIME type, defaults to `image/png`
+   * @param {number} [quality] - image quality between 0 and 1 for lossy
+   * image types
+   * @param {WaveGradientImageOptions} [options] - image size and frame
+   * time
+   * @returns {string} image data URL
+   */
+  toDataURL(type, quality, options) {
+    const canvas = createImageCanvas(this.getImageData(options));
+    return canvas.toDataURL(type, quality);
+  }
+
+  /**
+   * Updates the gradient options without re-creating the WebGL context
+   * or program. Only the state affected by the changed options is
+   * updated, e.g. changing `colors` only updates the color uniforms,
+   * while changing `density` regenerates the plane geometry.
+   *
+   * `fallback`, `renderer`, `shaderHooks` and `worker` only apply when
+   * the gradient is created and can't be changed.
+   *
+   * @param {Omit<WaveGradientOptions, "time">} options - options to
+   * update, omitted options keep their current value
+   * @throws {TypeError} if an option is invalid or can't be changed
+   */
+  setOptions(options) {
+    const { options: current } = this;
+    validateUpdate(options, current);
+    const {
+      adaptiveQuality = current.adaptiveQuality,
+      amplitude = current.amplitude,
+      blendSpace = current.blendSpace,
+      colors = current.colors,
+      density = current.density,
+      dithering = current.dithering,
+      fallback = current.fallback,
+      fps = current.fps,
+      grain = current.grain,
+      interaction = current.interaction,
+      maxPixelRatio = current.maxPixelRatio,
+      motion = current.motion,
+      pauseWhenHidden = current.pauseWhenHidden,
+      pixelRatio = current.pixelRatio,
+      renderScale = current.renderScale,
+      renderer = current.renderer,
+      seed = current.seed,
+      shading = current.shading,
+      speed = current.speed,
+      timeSource = current.timeSource,
+      wireframe = current.wireframe,
+      worker = current.worker,
+    } = options;
+
+    // The shader hooks are compiled in the program, they can't be
+    // changed. Omitted uniforms keep their current value.
+    const { shaderHooks } = current;
+    const uniforms = { ...current.uniforms, ...options.uniforms };
+
+    const next = {
+      adaptiveQuality,
+      amplitude,
+      blendSpace,
+      colors,
+      density,
+      dithering,
+      fallback,
+      fps,
+      grain,
+      interaction,
+      maxPixelRatio,
+      motion,
+      pauseWhenHidden,
+      pixelRatio,
+      renderScale,
+      renderer,
+      seed,
+      shading,
+      shaderHooks,
+      speed,
+      timeSource,
+      uniforms,
+      wireframe,
+      worker,
+    };
+
+    // Validate the options before changing anything, so that invalid
+    // options don't leave the gradient partially updated
+    const state = createState(next, this.canvas);
+    const blendSpaceValue = getBlendSpace(blendSpace);
+    const shadingValues = createShading(shading, this.canvas);
+    const ditheringValue = getDithering(dithering);
+    const grainValues = createGrain(grain);
+    const interactionValues = createInteraction(interaction);
+    const timeSourceValues = createTimeSource(timeSource);
+    const changedUniforms = options.uniforms ?? {};
+    createCustomUniforms(this.declaredUniforms, changedUniforms);
+
+    this.options = next;
+
+    // Options set directly take over any in-progress transition
+    if (this.transition) {
+      this.endTransition();
+    } else if (
+      amplitude !== current.amplitude ||
+      seed !== current.seed ||
+      !arrayEquals(colors, current.colors)
+    ) {
+      this.applyState(state);
+    }
+
+    if (blendSpace !== current.blendSpace) {
+      this.clipSpace.setUniform("blendSpace", blendSpaceValue);
+    }
+
+    if (shading !== current.shading) this.applyShading(shadingValues);
+
+    if (dithering !== current.dithering) {
+      this.clipSpace.setUniform("dithering", ditheringValue);
+    }
+
+    if (grain !== current.grain) {
+      this.grain = grainValues;
+      this.clipSpace.setUniform("grainIntensity", grainValues.intensity);
+      this.clipSpace.setUniform("grainSize", grainValues.size);
+    }
+
+    if (interaction !== current.interaction) {
+      this.applyInteraction(interactionValues);
+    }
+
+    for (const [name, value] of Object.entries(changedUniforms)) {
+      this.clipSpace.setUniform(name, value);
     }
 
-    // Create the indices
-    const verticesAcross = gridX + 1;
-    for (let z = 0, i = 0, view = new DataView(indices); z < gridZ; z++) {
-      for (let x = 0; x < gridX; x++, i += 6) {
-        view.setUint32((i + 0) * 4, (z + 0) * verticesAcross + x, true);
-        view.setUint32((i + 1) * 4, (z + 0) * verticesAcross + x + 1, true);
-        view.setUint32((i + 2) * 4, (z + 1) * verticesAcross + x, true);
-        view.setUint32((i + 3) * 4, (z + 0) * verticesAcross + x + 1, true);
-        view.setUint32((i + 4) * 4, (z + 1) * verticesAcross + x + 1, true);
-        view.setUint32((i + 5) * 4, (z + 1) * verticesAcross + x, true);
-      }
+    if (adaptiveQuality !== current.adaptiveQuality) {
+      this.quality?.delete();
+      this.quality = createQualityController(this.gl, adaptiveQuality);
+    }
+
+    if (
+      adaptiveQuality !== current.adaptiveQuality ||
+      !arrayEquals(density, current.density)
+    ) {
+      this.updateGeometry();
+    }
+
+    if (pauseWhenHidden !== current.pauseWhenHidden) {
+      pauseWhenHidden ? this.observeVisibility() : this.unobserveVisibility();
+    }
+
+    if (motion !== current.motion) {
+      this.updateReducedMotion();
+    }
+
+    if (timeSource !== current.timeSource) {
+      this.applyTimeSource(timeSourceValues);
+    }
+
+    if (
+      adaptiveQuality !== current.adaptiveQuality ||
+      pixelRatio !== current.pixelRatio ||
+      maxPixelRatio !== current.maxPixelRatio ||
+      renderScale !== current.renderScale
+    ) {
+      this.updateDrawingBuffer();
+    }
+
+    this.frameInterval = 1000 / (fps * this.getQualitySettings().fps);
+    this.drawMode = wireframe ? this.gl.LINES : this.gl.TRIANGLES;
+
+    // Show the changes when the render loop is not running
+    if (this.frameRequest === undefined) this.draw();
+  }
+
+  /**
+   * Smoothly transitions the gradient to the given options. The colors,
+   * amplitude and seed (and the wave layer parameters derived from
+   * them) are interpolated frame by frame. Other options are applied
+   * immediately.
+   *
+   * Wave layers that are added or removed by the new `colors` are faded
+   * in or out. Starting a new transition, or calling `setOptions()`,
+   * ends the current one.
+   *
+   * @param {Omit<WaveGradientOptions, "time">} options - options to
+   * transition to, omitted options keep their current value
+   * @param {WaveGradientTransitionOptions} [transitionOptions]
+   * transition duration and easing
+   * @throws {TypeError} if an option is invalid
+   * @returns {Promise<void>} resolves when the transition ends
+   */
+  transitionTo(options, transitionOptions) {
+    const { duration = 1000, easing = easeInOut } = transitionOptions ?? {};
+
+    // Nothing is animated with reduced motion
+    if (this.reducedMotion) {
+      this.setOptions(options);
+      return Promise.resolve();
+    }
+
+    // Start from what's currently rendered, which might be the middle
+    // of another transition
+    const from = this.transition?.current ?? this.createState();
+
+    this.setOptions(options);
+    const to = this.createState();
+
+    // Match the number of layers of both states. Added layers are faded
+    // in and removed ones are faded out.
+    const length = Math.max(from.waveLayers.length, to.waveLayers.length);
+    /**
+     * @param {WaveLayer[]} layers - wave layers to pad
+     * @param {WaveLayer[]} fallback - layers to pad with
+     * @returns {WaveLayer[]} padded layers
+     */
+    const pad = (layers, fallback) =>
+      Array.from(
+        { length },
+        (_, i) => layers[i] ?? { ...fallback[i], opacity: 0 }
+      );
+    from.waveLayers = pad(from.waveLayers, to.waveLayers);
+    to.waveLayers = pad(to.waveLayers, from.waveLayers);
+
+    return new Promise((resolve) => {
+      this.transition = {
+        from,
+        to,
+        current: from,
+        start: performance.now(),
+        duration,
+        easing,
+        resolve,
+      };
+      this.applyState(from);
+      this.requestFrame();
+    });
+  }
+
+  /**
+   * Simulates losing the WebGL context with the `WEBGL_lose_context`
+   * extension, for testing. Rendering stops until the context is
+   * restored with `restoreContext()`.
+   *
+   * @throws {Error} if the extension is not supported
+   */
+  loseContext() {
+    this.loseContextExtension ??= this.gl.getExtension("WEBGL_lose_context");
+    if (!this.loseContextExtension) {
+      throw new Error("can't simulate a context loss");
+    }
+    this.loseContextExtension.loseContext();
+  }
+
+  /**
+   * Restores the WebGL context lost by `loseContext()`. The gradient is
+   * rebuilt and rendering resumes at the same time.
+   *
+   * @throws {Error} if the context was not lost with `loseContext()`
+   */
+  restoreContext() {
+    if (!this.loseContextExtension) {
+      throw new Error("can't restore a context not lost by loseContext()");
+    }
+    this.loseContextExtension.restoreContext();
+  }
+
+  /**
+   * Gets statistics of the rendering, e.g. for monitoring or debug
+   * overlays.
+   *
+   * @returns {WaveGradientStats} rendering statistics
+   */
+  getStats() {
+    const { canvas, stats } = this;
+    return {
+      fps: stats.getFPS(performance.now()),
+      frames: stats.frames,
+      droppedFrames: stats.droppedFrames,
+      width: canvas.width,
+      height: canvas.height,
+      vertexCount: this.vertexCount,
+      indexCount: this.drawCount,
+    };
+  }
+
+  /**
+   * Applies the interpolated values of the in-progress transition for
+   * the given frame timestamp.
+   *
+   * @private
+   * @param {DOMHighResTimeStamp} now - Current frame timestamp
+   */
+  updateTransition(now) {
+    const { transition } = this;
+    if (!transition) return;
+
+    const { from, to, start, duration, easing } = transition;
+    const progress = duration > 0 ? (now - start) / duration : 1;
+
+    if (progress >= 1) {
+      this.endTransition();
+    } else {
+      transition.current = mixState(from, to, easing(Math.max(progress, 0)));
+      this.applyState(transition.current);
     }
+  }
+
+  /**
+   * Ends the in-progress transition by jumping to its end state.
+   *
+   * @private
+   */
+  endTransition() {
+    const { transition } = this;
+    if (!transition) return;
 
-    return { positions, indices, count: indexCount };
+    this.transition = undefined;
+    this.applyState(this.createState());
+    transition.resolve();
   }
 
   /**
-   * Prefixes attribute or uniform names with the given prefix. While
-   * also making the name sentence cased.
+   * Computes the animatable uniform values for the current options.
    *
    * @private
-   * @param {string} name attribute/uniform name
-   * @param {string} prefix prefix
-   * @returns {string} prefixed name
+   * @throws {TypeError} if a color or blend mode is invalid
+   * @returns {WaveGradientState} uniform values
    */
-  static prefixName(name, prefix) {
-    return `${prefix}${name[0].toUpperCase()}${name.slice(1)}`;
+  createState() {
+    return createState(this.options, this.canvas);
   }
 
   /**
-   * @param {ClipSpaceConfig} config configuration
+   * Updates the amplitude, seed, base color and wave layers uniforms.
+   *
+   * @private
+   * @param {WaveGradientState} state - uniform values
    */
-  constructor(config) {
-    /** @private */
-    this.gl = config.gl;
+  applyState({ amplitude, seed, baseColor, waveLayers }) {
+    const { clipSpace } = this;
 
-    /** @private */
-    this.program = this.createProgram(config.shaders);
+    clipSpace.setUniform("amplitude", amplitude);
+    clipSpace.setUniform("seed", seed);
+    clipSpace.setUniform("baseColor", baseColor);
+    clipSpace.setUniform("layerCount", waveLayers.length);
 
-    /**
-     * @private
-     * @type {Object<string, AttributeInfo>}
-     */
-    this._attributes = {};
+    waveLayers.forEach((layer, i) => {
+      for (const [name, value] of Object.entries(layer)) {
+        clipSpace.setUniform(`waveLayers[${i}].${name}`, value);
+      }
+    });
+  }
 
-    /** @private */
-    this.setupAttributes(config.attributes);
+  /**
+   * Updates the shading uniforms.
+   *
+   * @private
+   * @param {Shading} shading - uniform values
+   */
+  applyShading({ edges, slope, strength, power, tint }) {
+    const { clipSpace } = this;
+
+    clipSpace.setUniform("shadingEdges", edges);
+    clipSpace.setUniform("shadingSlope", slope);
+    clipSpace.setUniform("shadingStrength", strength);
+    clipSpace.setUniform("shadingPower", power);
+    clipSpace.setUniform("shadingTint", tint);
+  }
 
-    /**
-     * @private
-     * @type {WebGLBuffer}
-     */
-    this._elementBuffer;
+  /**
+   * Updates the pointer interaction uniforms and starts or stops
+   * observing the pointer.
+   *
+   * @private
+   * @param {Interaction} interaction - uniform values
+   */
+  applyInteraction(interaction) {
+    const { clipSpace } = this;
+
+    this.interaction = interaction;
+    clipSpace.setUniform("interactionMode", interaction.mode);
+    clipSpace.setUniform("interactionRadius", interaction.radius);
+    clipSpace.setUniform("interactionStrength", interaction.strength);
+    this.updatePointerObserver();
+  }
 
-    /** @private */
-    this.setElements(config.elements);
+  /**
+   * Starts or stops observing the pointer, depending on whether the
+   * interaction is enabled. Offscreen canvases can't be observed, in
+   * worker mode the pointer is sent by the main thread.
+   *
+   * @private
+   */
+  updatePointerObserver() {
+    const enabled = this.interaction.mode !== 0;
+    if (enabled === !!this.pointerObserver) return;
 
-    /**
-     * @private
-     * @type {Object<string, Function>}
-     */
-    this._uniforms = {};
+    if (enabled && typeof document !== "undefined") {
+      this.pointerObserver = observePointer(this.canvas, (pointer) =>
+        this.movePointer(pointer)
+      );
+    } else {
+      this.pointerObserver?.disconnect();
+      this.pointerObserver = undefined;
+      this.pointer.active = false;
+    }
+  }
 
-    /** @private */
-    this.setupUniforms(config.uniforms);
+  /**
+   * Updates the position of the pointer. The movement is accumulated
+   * until the next frame while the pointer is active.
+   *
+   * @private
+   * @param {WaveGradientPointer} pointer - position of the pointer
+   */
+  movePointer({ x, y, active }) {
+    const { pointer } = this;
+
+    // Flip the y axis to point up, like in the shaders
+    y = this.size.height - y;
+    if (active && pointer.active) {
+      pointer.movement[0] += x - pointer.x;
+      pointer.movement[1] += y - pointer.y;
+    }
+    pointer.x = x;
+    pointer.y = y;
+    pointer.active = active;
+  }
+
+  /**
+   * Fades the pointer uniforms towards the current state of the pointer
+   * over the time since the last frame.
+   *
+   * @private
+   * @param {number} delta - time since the last frame in milliseconds
+   */
+  updatePointer(delta) {
+    const { clipSpace, interaction, pointer, pointerUniforms } = this;
+    if (interaction.mode === 0) return;
+
+    // Exponential decay, so the fading doesn't depend on the frame rate
+    const decay = Math.exp(-delta / interaction.decay);
+    const target = pointer.active ? 1 : 0;
+    pointerUniforms.intensity =
+      target + (pointerUniforms.intensity - target) * decay;
+
+    // The movement wears off, and is limited to the radius so that fast
+    // flicks don't tear the waves apart
+    let [x, y] = pointerUniforms.movement;
+    x = x * decay + pointer.movement[0];
+    y = y * decay + pointer.movement[1];
+    const scale = Math.min(interaction.radius / Math.hypot(x, y), 1);
+    pointerUniforms.movement = [x * scale, y * scale];
+    pointer.movement = [0, 0];
+
+    clipSpace.setUniform("pointerPosition", [pointer.x, pointer.y]);
+    clipSpace.setUniform("pointerMovement", pointerUniforms.movement);
+    clipSpace.setUniform("pointerIntensity", pointerUniforms.intensity);
   }
 
   /**
+   * Regenerates the plane geometry for the given layout size, the
+   * `density` option and the quality tier.
+   *
    * @private
-   * @param {number} type shader type
-   * @param {string} source shader source
-   * @throws {Error} if the shader could not be created
-   * @returns {WebGLShader} shader
+   * @param {number} [width] - layout width, defaults to the display
+   * width of the canvas
+   * @param {number} [height] - layout height, defaults to the display
+   * height of the canvas
    */
-  compileShader(type, source) {
-    const { gl } = this;
+  updateGeometry(width = this.size.width, height = this.size.height) {
+    const { clipSpace, options: { density } } = this; // prettier-ignore
+    const quality = this.getQualitySettings();
 
-    let shader = gl.createShader(type);
-    if (!shader) throw new Error("can't create shader");
+    // Create new geometry
+    const geometry = ClipSpace.createPlaneGeometry(
+      width * density[0] * quality.density,
+      height * density[1] * quality.density,
+      this.indexType === this.gl.UNSIGNED_SHORT
+    );
 
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
+    // Update geometry attributes
+    clipSpace.setAttribute("position", geometry.positions);
 
-    return shader;
+    // Update index buffer and draw count
+    clipSpace.setElements(geometry.indices, this.indexType);
+    this.drawCount = geometry.count;
+    this.vertexCount = geometry.vertexCount;
   }
 
   /**
+   * Updates the size the canvas is displayed at. The drawing buffer is
+   * resized right away, while regenerating the geometry is relatively
+   * expensive so it's debounced until the size settles.
+   *
    * @private
-   * @param {WebGLProgram} program WebGL2 program
-   * @throws {Error} if the program did not link successfully
-   * @returns {void}
+   * @param {WaveGradientSize} size - display size
    */
-  debugProgram(program) {
-    const { gl } = this;
-    const [vs, fs] = gl.getAttachedShaders(program) ?? [];
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-      throw new Error(
-        `can't link WebGL program.
-    ${gl.getProgramInfoLog(program)}
-    ${gl.getShaderInfoLog(vs)}
-    ${gl.getShaderInfoLog(fs)}`
-      );
+  resize(size) {
+    const { size: current } = this;
+    this.size = size;
+    this.updateDrawingBuffer();
+
+    if (size.width !== current.width || size.height !== current.height) {
+      clearTimeout(this.geometryTimeout);
+      this.geometryTimeout = setTimeout(() => {
+        this.geometryTimeout = undefined;
+        this.updateGeometry();
+        if (this.frameRequest === undefined) this.draw();
+
+        /** @type {WaveGradientResizeDetail} */
+        const detail = {
+          ...this.size,
+          vertexCount: this.vertexCount,
+          indexCount: this.drawCount,
+        };
+        this.dispatchEvent(new CustomEvent("resize", { detail }));
+      }, GEOMETRY_UPDATE_DELAY);
     }
   }
 
   /**
-   * Creates a WebGL program.
+   * Resizes the drawing buffer for the display size, the `pixelRatio`,
+   * `maxPixelRatio` and `renderScale` options and the quality tier.
    *
    * @private
-   * @param {[string, string]} shaders vertex & fragment shader sources
-   * @throws {Error} if the program could not be created or linked
-   * @returns {WebGLProgram} shader program
    */
-  createProgram(shaders) {
-    const { gl } = this;
-    const [vs, fs] = [
-      this.compileShader(gl.VERTEX_SHADER, shaders[0]),
-      this.compileShader(gl.FRAGMENT_SHADER, shaders[1]),
-    ];
-
-    const program = gl.createProgram();
-    if (!program) throw new Error("can't create WebGL program");
-
-    gl.attachShader(program, vs);
-    gl.attachShader(program, fs);
-
-    try {
-      gl.linkProgram(program);
-      this.debugProgram(program);
-    } catch (linkError) {
-      gl.deleteProgram(program);
-      throw linkError;
-    } finally {
-      gl.deleteShader(vs);
-      gl.deleteShader(fs);
+  updateDrawingBuffer() {
+    const { canvas, size } = this;
+    const { pixelRatio, maxPixelRatio } = this.options;
+    const renderScale =
+      this.options.renderScale * this.getQualitySettings().renderScale;
+
+    let { width, height } = size;
+    let scale;
+    if (pixelRatio === "auto") {
+      // The device pixel size is scaled down rather than scaling up the
+      // CSS size, so that the drawing buffer matches the device pixels
+      // exactly when it's not capped or scaled
+      const deviceRatio = width ? size.deviceWidth / width : 1;
+      ({ deviceWidth: width, deviceHeight: height } = size);
+      scale = Math.min(1, maxPixelRatio / deviceRatio) * renderScale;
+    } else {
+      scale = Math.min(pixelRatio, maxPixelRatio) * renderScale;
     }
+    width = Math.round(width * scale);
+    height = Math.round(height * scale);
 
-    gl.useProgram(program);
+    if (width !== canvas.width || height !== canvas.height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    this.setViewport(width, height, size);
 
-    return program;
+    // Resizing clears the drawing buffer, draw the frame again when the
+    // render loop is not running
+    if (this.frameRequest === undefined) this.draw();
   }
 
   /**
-   * Creates a WebGL buffer.
+   * Updates the viewport and the resolution uniforms for the given
+   * drawing size.
    *
    * @private
-   * @throws if can't create buffer
-   * @returns {WebGLBuffer} buffer
+   * @param {number} width - drawing width
+   * @param {number} height - drawing height
+   * @param {{ width: number, height: number }} [layout] - size the
+   * gradient is laid out at in CSS pixels, defaults to the drawing size
    */
-  createBuffer() {
-    const { gl } = this;
-    const buffer = gl.createBuffer();
-    if (!buffer) throw new Error("can't create buffer");
-    return buffer;
+  setViewport(width, height, layout = { width, height }) {
+    this.viewport = { width, height };
+    this.gl.viewport(0, 0, width, height);
+    this.clipSpace.setUniform("resolution", [layout.width, layout.height]);
+    this.clipSpace.setUniform(
+      "pixelRatio",
+      layout.width ? width / layout.width : 1
+    );
   }
 
   /**
-   * Creates the attributes for the WebGL program.
+   * Rebuilds the gradient after the WebGL context is restored and
+   * resumes rendering. The program, buffers and uniforms are recreated
+   * with their current values.
    *
    * @private
-   * @param {object} attributes attributes
    */
-  setupAttributes(attributes) {
-    const { gl, program } = this;
+  restore() {
+    const { gl, clipSpace } = this;
 
-    for (const [name, dataBuffer] of Object.entries(attributes)) {
-      const prefixedName = ClipSpace.prefixName(name, "a_");
+    const indexType = setupContext(gl) ? gl.UNSIGNED_SHORT : gl.UNSIGNED_INT;
+    gl.viewport(0, 0, this.viewport.width, this.viewport.height);
+    clipSpace.restore();
 
-      const buffer = this.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-      gl.bufferData(gl.ARRAY_BUFFER, dataBuffer, gl.STATIC_DRAW);
+    // Recreate the geometry if the supported index type changed
+    if (indexType !== this.indexType) {
+      this.indexType = indexType;
+      this.updateGeometry();
+    }
 
-      const location = gl.getAttribLocation(program, prefixedName);
-      gl.enableVertexAttribArray(location);
-      gl.vertexAttribPointer(location, 3, gl.FLOAT, false, 0, 0);
+    // The timer queries were lost with the context
+    this.quality?.reset();
 
-      this._attributes[name] = { buffer, location };
-    }
+    this.contextLost = false;
+    this.draw();
+    this.startLoop();
   }
 
   /**
-   * Setter for attributes.
+   * Requests an animation frame, unless one is already requested or
+   * there is nothing to animate.
    *
-   * @param {string} attributeName attribute name
-   * @param {ArrayBuffer} dataBuffer ArrayBuffer containing the data
+   * @private
+   */
+  requestFrame() {
+    if (this.frameRequest !== undefined || !this.shouldRender()) return;
+
+    // Frames are rendered by `tick()` with the `"manual"` time source
+    if (this.timeSource.type === "manual") return;
+
+    this.frameRequest = requestAnimationFrame((now) => {
+      this.frameRequest = undefined;
+      try {
+        this.render(now);
+      } catch (error) {
+        // Stop the render loop instead of failing on every frame
+        this.cancelFrame();
+        this.dispatchError(error);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @returns {boolean} whether frames should be rendered, based on the
+   * playback, the context, the visibility and the reduced motion
    */
-  setAttribute(attributeName, dataBuffer) {
-    const { gl } = this;
+  shouldRender() {
+    if (this.contextLost || this.suspended || this.reducedMotion) return false;
+    return this.playing || !!this.transition;
+  }
 
-    // Since there is only one attribute used by the WaveGradient, it's
-    // okay to not call `gl.bindBuffer` before setting the buffer data.
-    // which is why `attributeName` in unused now.
-    gl.bufferData(gl.ARRAY_BUFFER, dataBuffer, gl.STATIC_DRAW);
+  /**
+   * Cancels the requested animation frame, if any, which stops the
+   * render loop.
+   *
+   * @private
+   */
+  cancelFrame() {
+    if (this.frameRequest === undefined) return;
+    cancelAnimationFrame(this.frameRequest);
+    this.frameRequest = undefined;
   }
 
   /**
-   * Setup WebGL indexed drawing data buffer.
+   * Starts the render loop if it's not running.
    *
-   * @param {ArrayBuffer} elements elements
+   * @private
    */
-  setElements(elements) {
-    const { gl } = this;
+  startLoop() {
+    if (this.frameRequest !== undefined) return;
 
-    if (!this._elementBuffer) {
-      const buffer = this.createBuffer();
-      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffer);
-      this._elementBuffer = buffer;
-    }
+    // Render the first frame right away without a jump in time since
+    // the time is only advanced by a frame interval at most
+    this.lastFrameTime = performance.now() - this.frameInterval;
 
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, elements, gl.STATIC_DRAW);
+    // Frame times are only measured while the render loop runs
+    this.quality?.reset();
+    this.requestFrame();
   }
 
   /**
-   * @param {string} name uniform name
-   * @param {ClipSpaceUniformType} type uniform type
-   * @param {any} [initialValue] initial uniform value
-   * @returns {Function} uniform setter function
+   * Starts observing the visibility of the canvas and the page to
+   * suspend rendering while the gradient is not visible.
+   *
+   * @private
    */
-  createUniformSetter(name, type, initialValue) {
-    const { gl, program } = this;
-    const uniformX = `uniform${type}`;
-    const location = gl.getUniformLocation(program, name);
-    const setter =
-      /**
-       * @param {number | number[]} value uniform value
-       */
-      (value) => {
-        Array.isArray(value)
-          ? // @ts-ignore
-            gl[uniformX](location, ...value)
-          : // @ts-ignore
-            gl[uniformX](location, value);
-      };
-    if (initialValue) setter(initialValue);
-    return setter;
-  }
-
-  /**
-   * Creates the uniforms for the WebGL program.
-   *
-   * @param {Object<string, ClipSpaceUniform>} uniforms uniforms
-   */
-  setupUniforms(uniforms) {
-    for (const [name, uniform] of Object.entries(uniforms)) {
-      const prefixedName = ClipSpace.prefixName(name, "u_");
-
-      switch (uniform.type) {
-        case undefined:
-          Array.isArray(uniform.value) &&
-            uniform.value.forEach(
-              /**
-               * @param {*} member struct member
-               * @param {number} i index
-               */
-              (member, i) => {
-                const structName = name;
-                const prefixedStructName = prefixedName;
-                for (const [name, uniform] of Object.entries(member)) {
-                  const key = `${structName}[${i}].${name}`;
-                  const prefixedKey = `${prefixedStructName}[${i}].${name}`;
-                  this._uniforms[key] = this.createUniformSetter(
-                    prefixedKey,
-                    uniform.type,
-                    uniform.value
-                  );
-                }
-              }
-            );
-          break;
-        default:
-          this._uniforms[name] = this.createUniformSetter(
-            prefixedName,
-            uniform.type,
-            uniform.value
-          );
-      }
+  observeVisibility() {
+    if (typeof IntersectionObserver !== "undefined") {
+      this.intersectionObserver = new IntersectionObserver((entries) => {
+        this.intersecting = entries[entries.length - 1].isIntersecting;
+        this.updateSuspended();
+      });
+      this.intersectionObserver.observe(this.canvas);
     }
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
   }
 
   /**
-   * Setter for uniforms.
+   * Stops observing the visibility of the canvas and the page, and
+   * resumes rendering if it was suspended.
    *
-   * @param {string} uniformName uniform name
-   * @param {any} newValue new value
+   * @private
    */
-  setUniform(uniformName, newValue) {
-    this._uniforms[uniformName](newValue);
+  unobserveVisibility() {
+    this.intersectionObserver?.disconnect();
+    this.intersectionObserver = undefined;
+    this.intersecting = true;
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    this.updateSuspended();
   }
 
   /**
-   * Deletes the WebGL program and buffers.
+   * Suspends or resumes rendering based on the visibility of the canvas
+   * and the page. The animation time continues from where it was
+   * suspended.
+   *
+   * @private
    */
-  delete() {
-    const { gl } = this;
+  updateSuspended() {
+    const suspended =
+      this.options.pauseWhenHidden && (!this.intersecting || document.hidden);
+    if (suspended === this.suspended) return;
 
-    gl.deleteProgram(this.program);
-    for (const [, attribute] of Object.entries(this._attributes)) {
-      this.gl.deleteBuffer(attribute.buffer);
-    }
+    this.suspended = suspended;
+    suspended ? this.cancelFrame() : this.startLoop();
   }
-}
-
-// ---------------------------------------------------------------------
-// WaveGradient
-// ---------------------------------------------------------------------
-
-/**
- * WaveGradient options.
- *
- * @typedef {object} WaveGradientOptions
- * @property {number} [amplitude] Gradient waves amplitude.
- * @property {string[]} [colors] Gradient color layers. Limited to 10.
- * @property {number[]} [density] Level of detail of the plane geometry.
- * @property {number} [fps] Frames per second for rendering.
- * @property {number} [seed] Seed for the noise function.
- * @property {number} [speed] Speed of the gradient waves.
- * @property {number} [time] Initial time of the animation.
- * @property {boolean} [wireframe] Wireframe render mode.
- */
-
-/** @typedef {number} DOMHighResTimeStamp */
 
-/**
- * Class that recreates the https://stripe.com animated gradient.
- */
-export class WaveGradient {
   /**
-   * Create a gradient instance. The element must be a canvas HTML
-   * element.
+   * Switches between animating the gradient and rendering a static
+   * frame based on the `motion` option and the user preference.
    *
-   * @param {HTMLCanvasElement} canvas - canvas element
-   * @param {WaveGradientOptions} options - gradient options
-   * @throws {TypeError} if the canvas element is not a valid canvas
-   * element
-   * @throws {Error} if it can't acquire a WebGL 2.0 context
+   * @private
    */
-  constructor(canvas, options) {
-    // get a WebGL2 rendering context
-    const gl = canvas.getContext("webgl2", {
-      antialias: true,
-      depth: false,
-      powerPreference: "low-power",
-    });
-    if (!gl) throw new Error("can't get WebGL2 context");
-
-    // mix in default options
-    const {
-      amplitude = 320,
-      colors = ["#ef008f", "#6ec3f4", "#7038ff", "#ffba27"],
-      density = [0.06, 0.16],
-      fps = 24,
-      seed = 0,
-      speed = 1.25,
-      time = 0,
-      wireframe = false,
-    } = options ?? {};
-
-    // get canvas display (css) dimensions
-    const { clientWidth, clientHeight } = canvas;
-
-    // set initial canvas size
-    canvas.width = clientWidth;
-    canvas.height = clientHeight;
-    gl.viewport(0, 0, clientWidth, clientHeight);
-
-    // Enable culling of back triangle faces
-    gl.enable(gl.CULL_FACE);
-
-    // Not-needed since I am using at least `mediump` precision in the
-    // fragment shader
-    gl.disable(gl.DITHER);
-
-    // Enabling depth testing hurts performance in my testing. It is
-    // disabled by default but I am just making the choice explicit for
-    // documentation
-    gl.disable(gl.DEPTH_TEST);
-
-    // create the initial plane geometry
-    const geometry = ClipSpace.createPlaneGeometry(
-      clientWidth * density[0],
-      clientHeight * density[1]
-    );
-
-    /**
-     * For reference, the original stripe gradient preset values were:
-     *
-     * time:                   1253106
-     * shadow_power:           6 {canvas.y < 600 ? 5 : 6}
-     * global.noiseSpeed:      5e-6
-     * global.noiseFreq:       [14e-5, 29e-5]
-     * vertDeform.noiseFreq:   [3, 4]
-     * vertDeform.noiseSpeed:  10
-     * vertDeform.noiseFlow:   3
-     * vertDeform.noiseSeed:   5
-     * vertDeform.noiseAmp:    320
-     *
-     * for (i = 1; i < sectionColors.length; i++):
-     *   color:      sectionColors[i]
-     *   noiseCeil:  0.63 + (0.07 * i),
-     *   noiseFloor: 0.1,
-     *   noiseFlow:  6.5 + (0.3 * i),
-     *   noiseFreq:  [2 + (i / sectionColors.length),
-     *               3 + (i / sectionColors.length)]
-     *   noiseSeed:  seed + (10 * i),
-     *   noiseSpeed: 11 + (0.3 * i),
-     */
-
-    // create the clip space
-    const clipSpace = new ClipSpace({
-      gl,
-      shaders: [vert, frag],
-      attributes: { position: geometry.positions },
-      elements: geometry.indices,
-      uniforms: {
-        amplitude: { value: amplitude, type: "1f" },
-        baseColor: { value: parseRGB(colors[0]), type: "3f" },
-        realtime: { value: time, type: "1f" },
-        resolution: { value: [clientWidth, clientHeight], type: "2f" },
-        seed: { value: seed, type: "1f" },
-        shadowPower: { value: 6, type: "1f" },
-        layerCount: { value: colors.length - 1, type: "1i" },
-        waveLayers: {
-          value: colors.slice(1).map((color, i, array) => {
-            const r = (i + 1) / array.length + 1;
-            return {
-              noiseCeil: { value: 0.63 + 0.07 * (i + 1), type: "1f" },
-              noiseFloor: { value: 0.1, type: "1f" },
-              noiseFlow: { value: 6.5 + 0.3 * (i + 1), type: "1f" },
-              noiseSeed: { value: seed + 10 * (i + 1), type: "1f" },
-              noiseSpeed: { value: 11 + 0.3 * (i + 1), type: "1f" },
-              noiseFreq: { value: [2 + r, 3 + r], type: "2f" },
-              color: { value: parseRGB(color), type: "3f" },
-            };
-          }),
-        },
-      },
-    });
+  updateReducedMotion() {
+    const { motion } = this.options;
+    const reducedMotion =
+      motion === "reduce" ||
+      (motion === "auto" && !!this.reducedMotionQuery?.matches);
+    if (reducedMotion === this.reducedMotion) return;
+
+    this.reducedMotion = reducedMotion;
+
+    if (reducedMotion) {
+      this.endTransition();
+      this.cancelFrame();
+      this.draw();
+    } else {
+      this.startLoop();
+    }
+  }
 
-    /** @private */
-    this.gl = gl;
+  /**
+   * Renders a frame.
+   *
+   * @private
+   * @param {DOMHighResTimeStamp} now - Current frame timestamp
+   */
+  render(now) {
+    // Enqueue the next frame
+    this.requestFrame();
 
-    /** @private */
-    this.clipSpace = clipSpace;
+    // Measure every animation frame, not only the rendered ones, since
+    // the frames the browser drops are what's being measured
+    if (this.quality?.update(now)) this.applyQuality();
 
-    /** @private */
-    this.density = density;
+    const delta = now - this.lastFrameTime;
+    if (delta < this.frameInterval) return;
 
-    /** @private */
-    this.speed = speed;
+    // I learned this trick to get a more acuate framerate from:
+    // https://gist.github.com/addyosmani/5434533
+    this.lastFrameTime = now - (delta % this.frameInterval);
 
-    /** @private */
-    this.frameInterval = 1000 / fps;
+    // Advance the time, unless only a transition is being rendered
+    if (this.playing) this.advanceTime(Math.min(delta, this.frameInterval));
 
-    /** @private */
-    this.lastFrameTime = 0;
+    this.renderStep(now, delta, this.frameInterval);
+  }
 
-    /** @private */
-    this.shouldRender = true;
+  /**
+   * Renders a frame of the render loop or of `tick()`, once the time
+   * is advanced.
+   *
+   * @private
+   * @param {DOMHighResTimeStamp} now - Current frame timestamp
+   * @param {number} delta - time since the last frame in milliseconds
+   * @param {number} frameInterval - expected time between frames, to
+   * count the dropped frames
+   */
+  renderStep(now, delta, frameInterval) {
+    // Interpolate the uniforms of the in-progress transition, if any
+    this.updateTransition(now);
 
-    /** @private */
-    this.drawMode = wireframe ? this.gl.LINES : this.gl.TRIANGLES;
+    // The pointer effect fades with the frame time, not the animation
+    // time, so it doesn't depend on the speed
+    this.updatePointer(delta);
 
-    /** @private */
-    this.drawCount = geometry.count;
+    this.quality?.beginFrame();
+    this.draw();
+    this.quality?.endFrame();
 
-    /**
-     * The time the animation has been running in milliseconds. Can be
-     * set while the animation is running to seek to a specific point in
-     * the animation.
-     *
-     * @type {number}
-     */
-    this.time = time;
+    this.stats.record(now, delta, frameInterval);
 
-    // Start the render loop
-    requestAnimationFrame((now) => {
-      this.render(now);
-    });
+    /** @type {WaveGradientFrameDetail} */
+    const detail = { time: this.time, delta, drawCount: this.drawCount };
+    this.dispatchEvent(new CustomEvent("frame", { detail }));
   }
 
   /**
-   * Resize the canvas (and geometry) to match the size it's displayed
-   * at.
+   * Advances the animation time by a frame, or reads it from the time
+   * source. The speed and the playback rate only apply to the clock
+   * and manual time sources.
    *
    * @private
+   * @param {number} delta - time since the last frame in milliseconds
    */
-  resize() {
-    const { gl, gl: { canvas }, clipSpace } = this; // prettier-ignore
-    const { width, clientWidth, height, clientHeight } = canvas;
-    const resized = width !== clientWidth || height !== clientHeight;
+  advanceTime(delta) {
+    const { type, range, get } = this.timeSource;
+    if (type === "scroll") {
+      this.time = range[0] + (range[1] - range[0]) * this.scrollProgress;
+    } else if (get) {
+      this.time = get();
+    } else {
+      this.time += delta * this.options.speed * this.playbackRate;
+    }
+  }
 
-    if (resized) {
-      // Update canvas, viewport and resolution uniform
-      canvas.width = clientWidth;
-      canvas.height = clientHeight;
-      gl.viewport(0, 0, clientWidth, clientHeight);
-      this.clipSpace.setUniform("resolution", [clientWidth, clientHeight]);
+  /**
+   * Switches to a new time source.
+   *
+   * @private
+   * @param {TimeSource} timeSource - time source
+   */
+  applyTimeSource(timeSource) {
+    this.timeSource = timeSource;
+    this.updateScrollObserver();
+
+    // Start or stop the render loop, which doesn't run with the
+    // `"manual"` time source
+    this.cancelFrame();
+    this.startLoop();
+  }
 
-      // Create new geometry
-      const geometry = ClipSpace.createPlaneGeometry(
-        clientWidth * this.density[0],
-        clientHeight * this.density[1]
+  /**
+   * Starts or stops observing the scroll progress for the `"scroll"`
+   * time source. The document can't be observed in a worker, in worker
+   * mode the progress is sent by the main thread.
+   *
+   * @private
+   */
+  updateScrollObserver() {
+    const { type, container } = this.timeSource;
+
+    this.scrollObserver?.disconnect();
+    this.scrollObserver = undefined;
+    if (type === "scroll" && typeof document !== "undefined") {
+      this.scrollObserver = observeScroll(container, (progress) =>
+        this.setScrollProgress(progress)
       );
-
-      // Update geometry attributes
-      clipSpace.setAttribute("position", geometry.positions);
-
-      // Update index buffer and draw count
-      clipSpace.setElements(geometry.indices);
-      this.drawCount = geometry.count;
     }
   }
 
   /**
-   * Renders a frame.
+   * Sets the scroll progress of the `"scroll"` time source. The time is
+   * updated with the next frame.
    *
    * @private
-   * @param {DOMHighResTimeStamp} now - Current frame timestamp
+   * @param {number} progress - scroll progress, from 0 to 1
    */
-  render(now) {
-    if (this.shouldRender) {
-      // Enqueue the next frame
-      requestAnimationFrame((now) => {
-        this.render(now);
-      });
-    } else {
-      return;
-    }
+  setScrollProgress(progress) {
+    this.scrollProgress = progress;
+  }
 
-    const delta = now - this.lastFrameTime;
-    if (delta < this.frameInterval) {
-      // Resizing is relatively expensive because we have to regenerate
-      // the geometry. So do it on the off-frames and add some
-      // randomness to reduce the frequency a little more.
-      if (Math.random() > 0.75 === true) this.resize();
-      return;
-    }
+  /**
+   * Dispatches an `error` event for an error that can't be thrown to
+   * the caller, e.g. in the render loop.
+   *
+   * @private
+   * @param {any} error - error
+   */
+  dispatchError(error) {
+    const message = error instanceof Error ? error.message : String(error);
+    this.dispatchEvent(new ErrorEvent("error", { error, message }));
+  }
 
-    // I learned this trick to get a more acuate framerate from:
-    // https://gist.github.com/addyosmani/5434533
-    this.lastFrameTime = now - (delta % this.frameInterval);
+  /**
+   * Gets the multipliers of the quality tier. They are all `1` when the
+   * `adaptiveQuality` option is disabled.
+   *
+   * @private
+   * @returns {QualitySettings} multipliers of the options
+   */
+  getQualitySettings() {
+    return this.quality?.settings ?? getQualitySettings(0);
+  }
 
-    // Update the `time` uniform
-    this.time += Math.min(delta, this.frameInterval) * this.speed;
-    this.clipSpace.setUniform("realtime", this.time);
+  /**
+   * Applies the settings of a new quality tier.
+   *
+   * @private
+   */
+  applyQuality() {
+    const { fps } = this.options;
+    this.frameInterval = 1000 / (fps * this.getQualitySettings().fps);
+    this.updateDrawingBuffer();
+    this.updateGeometry();
+
+    // Frames measured with the previous settings are discarded
+    this.quality?.reset();
+  }
 
-    // execute the WebGL draw call
-    this.gl.drawElements(
-      this.drawMode,
-      this.drawCount,
-      this.gl.UNSIGNED_INT,
-      0
-    );
+  /**
+   * Draws a frame.
+   *
+   * @private
+   * @param {number} [time] - animation time, defaults to the current
+   * time
+   */
+  draw(time = this.time) {
+    const { renderer, context, viewport } = this;
+    if (this.contextLost) return;
+
+    // With a shared renderer, the frame is drawn at the bottom left of
+    // its canvas then copied to the canvas of the gradient
+    renderer?.reserve(viewport.width, viewport.height);
+    this.drawFrame(time);
+    if (renderer && context) renderer.present(context);
+  }
+
+  /**
+   * Draws a frame to the bound framebuffer.
+   *
+   * @private
+   * @param {number} time - animation time
+   */
+  drawFrame(time) {
+    const { clipSpace, renderer, viewport } = this;
+
+    // The other gradients drawn with a shared renderer change the state
+    // of the context
+    if (renderer) clipSpace.bind();
+
+    // Update the `time` and grain seed uniforms and execute the WebGL
+    // draw call
+    clipSpace.draw({
+      mode: this.drawMode,
+      count: this.drawCount,
+      uniforms: { realtime: time, grainSeed: getGrainSeed(this.grain, time) },
+      viewport: renderer ? [0, 0, viewport.width, viewport.height] : undefined,
+    });
   }
 
   /**
    * Clears resources used by the gradient instance and stops rendering.
    */
   destroy() {
+    const { canvas } = this.gl;
+
+    // stop rendering. break the requestAnimationFrame loop. Transitions
+    // request frames while paused too, so the frame is always cancelled
+    // before the GL objects are deleted.
+    this.cancelFrame();
+    this.pause();
+
     // Delete the clipSpace
     this.clipSpace.delete();
 
     // @ts-ignore
     delete this.gl;
 
-    // stop rendering. break the requestAnimationFrame loop.
-    this.shouldRender = false;
+    // Settle the in-progress transition, if any
+    this.transition?.resolve();
+    this.transition = undefined;
+
+    this.resizeObserver?.disconnect();
+    this.pointerObserver?.disconnect();
+    this.scrollObserver?.disconnect();
+    clearTimeout(this.geometryTimeout);
+    this.quality?.delete();
+
+    if (this.options.pauseWhenHidden) this.unobserveVisibility();
+    removeChangeListener(this.reducedMotionQuery, this.onReducedMotionChange);
+    canvas.removeEventListener("webglcontextlost", this.onContextLost);
+    canvas.removeEventListener("webglcontextrestored", this.onContextRestored);
   }
 }
@@ -0,0 +1,821 @@
+// ---------------------------------------------------------------------
+//
+// Main thread side of the worker mode. The canvas is transferred to a
+// worker that runs the gradient on an `OffscreenCanvas`, and the proxy
+// forwards the `WaveGradient` API to it. What depends on the DOM (the
+// canvas size and visibility, the pointer, the scroll progress, CSS
+// variables and the reduced motion preference) is resolved on the main
+// thread.
+//
+// ---------------------------------------------------------------------
+
+import { resolveVariables } from "./color";
+import { applyCSSFallback } from "./css-gradient";
+import { createCustomUniforms } from "./hooks";
+import { canvasToBlob, createImageCanvas } from "./image";
+import { addChangeListener, removeChangeListener } from "./media-query";
+import {
+  createGrain,
+  createInteraction,
+  createShading,
+  createState,
+  createTimeSource,
+  getBlendSpace,
+  getDithering,
+  resolveOptions,
+  toLayer,
+  validateUpdate,
+} from "./options";
+import { observePointer } from "./pointer";
+import { measureSize, observeSize } from "./resize";
+import { observeScroll } from "./scroll";
+
+/** @typedef {import("./options").WaveGradientOptions} WaveGradientOptions */
+/** @typedef {import("./stats").WaveGradientStats} WaveGradientStats */
+/** @typedef {import("./pointer").PointerObserver} PointerObserver */
+/** @typedef {import("./scroll").ScrollObserver} ScrollObserver */
+/** @typedef {import("./options").WaveGradientTimeSource} WaveGradientTimeSource */
+
+/**
+ * Reply of the worker to a message, or an update sent by the worker
+ * when the quality tier changes or the gradient dispatches an event.
+ *
+ * @typedef {object} WaveGradientWorkerReply
+ * @property {number} [id] Id of the message, omitted for updates.
+ * @property {number} [time] Animation time of the gradient when the
+ * message was handled.
+ * @property {number} [qualityTier] Quality tier of the gradient.
+ * @property {WaveGradientStats} [stats] Rendering statistics.
+ * @property {{ type: string, detail?: any, error?: any }} [event] Event
+ * dispatched by the gradient.
+ * @property {any} [value] Returned value.
+ * @property {any} [error] Thrown error.
+ */
+
+/**
+ * Number of samples of custom easing functions. Functions can't be sent
+ * to the worker, so they are sampled and interpolated in the worker.
+ */
+const EASING_SAMPLES = 64;
+
+/**
+ * Samples an easing function at evenly spaced points.
+ *
+ * @param {(t: number) => number} easing - easing function
+ * @returns {number[]} eased progress at each sample
+ */
+function sampleEasing(easing) {
+  return Array.from({ length: EASING_SAMPLES + 1 }, (_, i) =>
+    easing(i / EASING_SAMPLES)
+  );
+}
+
+/**
+ * Validates the time source of a gradient rendered in a worker.
+ * Functions can't be sent to the worker.
+ *
+ * @param {WaveGradientTimeSource} timeSource - `timeSource` option
+ * @throws {TypeError} if the time source is invalid
+ */
+function validateTimeSource(timeSource) {
+  if (typeof timeSource === "function") {
+    throw new TypeError("can't use a function time source in a worker");
+  }
+  createTimeSource(timeSource);
+}
+
+/**
+ * Proxy of a gradient rendered in a worker. It has the same public API
+ * as `WaveGradient`, except that pixels can't be read synchronously.
+ * The events of the gradient are dispatched by the proxy.
+ */
+export class WaveGradientWorker extends EventTarget {
+  /**
+   * Transfers the canvas to a new worker and creates the gradient in it.
+   *
+   * @param {HTMLCanvasElement} canvas - canvas element
+   * @param {WaveGradientOptions} [options] - gradient options
+   * @throws {TypeError} if an option is invalid
+   */
+  constructor(canvas, options) {
+    super();
+
+    const { time, ...rest } = resolveOptions(options);
+
+    // Validate the options before the canvas is transferred, since it
+    // can't be used on the main thread after that
+    createState(rest, canvas);
+    createShading(rest.shading, canvas);
+    getBlendSpace(rest.blendSpace);
+    getDithering(rest.dithering);
+    createGrain(rest.grain);
+    createInteraction(rest.interaction);
+    validateTimeSource(rest.timeSource);
+    createCustomUniforms(rest.uniforms, rest.uniforms);
+
+    /** @private */
+    this.canvas = canvas;
+
+    /**
+     * @private
+     * @type {Required<Omit<WaveGradientOptions, "time">>}
+     */
+    this.options = rest;
+
+    /**
+     * Custom uniforms declared in the program of the worker. Shared
+     * renderers aren't used in worker mode, so they are the uniforms the
+     * gradient is created with.
+     *
+     * @private
+     */
+    this.declaredUniforms = rest.uniforms;
+
+    /** @private */
+    this.worker = new Worker(new URL("./worker.js", import.meta.url), {
+      type: "module",
+    });
+
+    /**
+     * Pending messages, by id.
+     *
+     * @private
+     * @type {Map<number, { resolve: (value: any) => void, reject: (error: any) => void }>}
+     */
+    this.requests = new Map();
+
+    /** @private */
+    this.nextRequestId = 0;
+
+    /**
+     * Error the gradient failed to initialize with in the worker. No
+     * more messages are sent to the worker once it's set.
+     *
+     * @private
+     * @type {any}
+     */
+    this.initError = undefined;
+
+    /**
+     * Animation time at the last sync with the worker, and the
+     * timestamp it was synced at. The current time is estimated from
+     * them while the animation is playing.
+     *
+     * @private
+     */
+    this.clock = { time, timestamp: performance.now() };
+
+    /** @private */
+    this.rate = 1;
+
+    /**
+     * Quality tier of the gradient in the worker.
+     *
+     * @private
+     */
+    this.tier = 0;
+
+    /**
+     * Rendering statistics last reported by the worker.
+     *
+     * @private
+     * @type {WaveGradientStats}
+     */
+    this.stats = {
+      fps: 0,
+      frames: 0,
+      droppedFrames: 0,
+      width: canvas.width,
+      height: canvas.height,
+      vertexCount: 0,
+      indexCount: 0,
+    };
+
+    /** @private */
+    this.playing = true;
+
+    /**
+     * Whether rendering is suspended because the canvas is hidden.
+     *
+     * @private
+     */
+    this.suspended = false;
+
+    /** @private */
+    this.intersecting = true;
+
+    /**
+     * @private
+     * @type {IntersectionObserver | undefined}
+     */
+    this.intersectionObserver = undefined;
+
+    /** @private */
+    this.onVisibilityChange = () => {
+      this.updateSuspended();
+    };
+
+    /**
+     * @private
+     * @type {MediaQueryList | undefined}
+     */
+    this.reducedMotionQuery = globalThis.matchMedia?.(
+      "(prefers-reduced-motion: reduce)"
+    );
+
+    /**
+     * Whether only a static frame is rendered because of the `motion`
+     * option or the user preference.
+     *
+     * @private
+     */
+    this.reducedMotion = this.prefersReducedMotion();
+
+    /** @private */
+    this.onReducedMotionChange = () => {
+      this.syncClock();
+      this.reducedMotion = this.prefersReducedMotion();
+      this.send("setOptions", [
+        { motion: this.reducedMotion ? "reduce" : "full" },
+      ]);
+    };
+
+    /**
+     * @private
+     * @param {MessageEvent<WaveGradientWorkerReply>} event - reply
+     */
+    this.onMessage = ({ data }) => {
+      const { id, time, qualityTier, stats, event, value, error } = data;
+      if (time !== undefined) this.syncClock(time);
+      if (qualityTier !== undefined) this.tier = qualityTier;
+      if (stats !== undefined) this.stats = stats;
+      if (event !== undefined) this.dispatchWorkerEvent(event);
+      if (id === undefined) return;
+
+      const request = this.requests.get(id);
+      this.requests.delete(id);
+      error === undefined ? request?.resolve(value) : request?.reject(error);
+    };
+
+    /**
+     * Errors thrown by the worker outside of a method call, e.g. if the
+     * worker script can't be loaded.
+     *
+     * @private
+     * @param {ErrorEvent} event - error event
+     */
+    this.onWorkerError = (event) => {
+      this.dispatchError(event.error ?? new Error("can't run the worker"));
+    };
+
+    this.worker.addEventListener("message", this.onMessage);
+    this.worker.addEventListener("error", this.onWorkerError);
+
+    // `OffscreenCanvas` is not in the TypeScript DOM types yet
+    const offscreen = /** @type {any} */ (canvas).transferControlToOffscreen();
+    this.call(
+      "init",
+      [offscreen, { ...this.toWorkerOptions(rest), time }, measureSize(canvas)],
+      [offscreen]
+    ).then(
+      (stats) => {
+        this.stats = stats;
+      },
+      (error) => {
+        // Approximate the gradient with CSS if the worker can't get a
+        // WebGL context, the error is still reported
+        if (rest.fallback) applyCSSFallback(canvas, options);
+        this.initError = error;
+        this.dispatchError(error);
+      }
+    );
+
+    /**
+     * Offscreen canvases have no layout, so the size the canvas is
+     * displayed at is sent to the worker when it changes.
+     *
+     * @private
+     */
+    this.resizeObserver = observeSize(canvas, (size) => {
+      this.send("resize", [size]);
+    });
+
+    /**
+     * The pointer can't be observed in the worker either, its position
+     * is sent by the main thread when the `interaction` option is
+     * enabled.
+     *
+     * @private
+     * @type {PointerObserver | undefined}
+     */
+    this.pointerObserver = undefined;
+    this.updatePointerObserver();
+
+    /**
+     * Same for the scroll progress of the `"scroll"` time source.
+     *
+     * @private
+     * @type {ScrollObserver | undefined}
+     */
+    this.scrollObserver = undefined;
+    this.updateScrollObserver();
+
+    if (rest.pauseWhenHidden) this.observeVisibility();
+    addChangeListener(this.reducedMotionQuery, this.onReducedMotionChange);
+  }
+
+  /**
+   * Whether the animation is playing.
+   *
+   * @type {boolean}
+   */
+  get isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Current quality tier of the `adaptiveQuality` option, as last
+   * reported by the worker.
+   *
+   * @type {number}
+   */
+  get qualityTier() {
+    return this.tier;
+  }
+
+  /**
+   * The time the animation has been running in milliseconds. It is
+   * estimated on the main thread and synced whenever the worker
+   * replies. Can be set to seek to a specific point in the animation.
+   *
+   * @type {number}
+   */
+  get time() {
+    const { time, timestamp } = this.clock;
+    if (!this.playing || this.suspended || this.reducedMotion) return time;
+
+    // Only the clock time source advances at a known rate
+    if (this.options.timeSource !== "clock") return time;
+    const elapsed = performance.now() - timestamp;
+    return time + elapsed * this.options.speed * this.rate;
+  }
+
+  set time(time) {
+    this.syncClock(time);
+    this.send("set", ["time", time]);
+  }
+
+  /**
+   * Playback rate of the animation, multiplied by the `speed` option.
+   *
+   * @type {number}
+   */
+  get playbackRate() {
+    return this.rate;
+  }
+
+  set playbackRate(playbackRate) {
+    this.syncClock();
+    this.rate = playbackRate;
+    this.send("set", ["playbackRate", playbackRate]);
+  }
+
+  /**
+   * Starts or resumes playing the animation.
+   */
+  play() {
+    this.syncClock();
+    this.playing = true;
+    this.updatePlayback();
+  }
+
+  /**
+   * Pauses the animation.
+   */
+  pause() {
+    this.syncClock();
+    this.playing = false;
+    this.updatePlayback();
+  }
+
+  /**
+   * Advances the animation by the given time and renders a frame, with
+   * the `"manual"` time source.
+   *
+   * @param {number} delta - time since the last tick in milliseconds
+   * @throws {Error} if the time source is not `"manual"`
+   */
+  tick(delta) {
+    const { type } = createTimeSource(this.options.timeSource);
+    if (type !== "manual") {
+      throw new Error(`can't tick with the "${type}" time source`);
+    }
+    this.send("tick", [delta]);
+  }
+
+  /**
+   * Seeks the animation to the given time and draws the frame at that
+   * time.
+   *
+   * @param {number} time - animation time in milliseconds
+   */
+  seek(time) {
+    this.syncClock(time);
+    this.send("seek", [time]);
+  }
+
+  /**
+   * Draws a single frame at the given time without starting the render
+   * loop or changing the current `time`.
+   *
+   * @param {number} [time] - animation time in milliseconds, defaults
+   * to the current time
+   */
+  renderFrame(time) {
+    this.send("renderFrame", [time]);
+  }
+
+  /**
+   * Renders a frame in the worker and returns its pixels. Unlike
+   * `WaveGradient.getImageData()`, the pixels are returned
+   * asynchronously since they are read in the worker.
+   *
+   * @param {import("./wave-gradient").WaveGradientImageOptions} [options]
+   * image size and frame time
+   * @returns {Promise<ImageData>} frame pixels
+   */
+  getImageData(options) {
+    return this.call("getImageData", [options]);
+  }
+
+  /**
+   * Renders a frame in the worker and encodes it as an image file.
+   *
+   * @param {string} [type] - image MIME type, defaults to `image/png`
+   * @param {number} [quality] - image quality between 0 and 1 for lossy
+   * image types
+   * @param {import("./wave-gradient").WaveGradientImageOptions} [options]
+   * image size and frame time
+   * @returns {Promise<Blob>} image file
+   */
+  async toBlob(type, quality, options) {
+    const imageData = await this.getImageData(options);
+    return canvasToBlob(createImageCanvas(imageData), type, quality);
+  }
+
+  /**
+   * Renders a frame in the worker and encodes it as a data URL. Unlike
+   * `WaveGradient.toDataURL()`, the URL is returned asynchronously.
+   *
+   * @param {string} [type] - image MIME type, defaults to `image/png`
+   * @param {number} [quality] - image quality between 0 and 1 for lossy
+   * image types
+   * @param {import("./wave-gradient").WaveGradientImageOptions} [options]
+   * image size and frame time
+   * @returns {Promise<string>} image data URL
+   */
+  async toDataURL(type, quality, options) {
+    const canvas = createImageCanvas(await this.getImageData(options));
+    return canvas.toDataURL(type, quality);
+  }
+
+  /**
+   * Updates the gradient options.
+   *
+   * @param {Omit<WaveGradientOptions, "time">} options - options to
+   * update, omitted options keep their current value
+   * @throws {TypeError} if an option is invalid or can't be changed
+   */
+  setOptions(options) {
+    this.send("setOptions", [this.updateOptions(options)]);
+  }
+
+  /**
+   * Smoothly transitions the gradient to the given options.
+   *
+   * @param {Omit<WaveGradientOptions, "time">} options - options to
+   * transition to, omitted options keep their current value
+   * @param {import("./wave-gradient").WaveGradientTransitionOptions} [transitionOptions]
+   * transition duration and easing
+   * @throws {TypeError} if an option is invalid
+   * @returns {Promise<void>} resolves when the transition ends
+   */
+  transitionTo(options, transitionOptions) {
+    const { duration, easing } = transitionOptions ?? {};
+    return this.call("transitionTo", [
+      this.updateOptions(options),
+      { duration, easing: easing && sampleEasing(easing) },
+    ]);
+  }
+
+  /**
+   * Simulates losing the WebGL context of the worker.
+   */
+  loseContext() {
+    this.send("loseContext");
+  }
+
+  /**
+   * Restores the WebGL context lost by `loseContext()`.
+   */
+  restoreContext() {
+    this.send("restoreContext");
+  }
+
+  /**
+   * Destroys the gradient in the worker, then terminates the worker.
+   */
+  destroy() {
+    this.syncClock();
+    this.playing = false;
+
+    this.resizeObserver.disconnect();
+    this.pointerObserver?.disconnect();
+    this.scrollObserver?.disconnect();
+    this.unobserveVisibility();
+    removeChangeListener(this.reducedMotionQuery, this.onReducedMotionChange);
+
+    // Transitions in progress are settled before the worker replies
+    const terminate = () => {
+      this.worker.removeEventListener("message", this.onMessage);
+      this.worker.removeEventListener("error", this.onWorkerError);
+      this.worker.terminate();
+    };
+    this.call("destroy").then(terminate, terminate);
+  }
+
+  /**
+   * Gets statistics of the rendering. They are reported by the worker
+   * with every rendered frame, so they are up to date as of the last
+   * frame.
+   *
+   * @returns {WaveGradientStats} rendering statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Dispatches an event forwarded by the worker.
+   *
+   * @private
+   * @param {{ type: string, detail?: any, error?: any }} event - type
+   * and detail of the event, or the error of `error` events
+   */
+  dispatchWorkerEvent({ type, detail, error }) {
+    if (type === "error") {
+      this.dispatchError(error);
+    } else {
+      this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+  }
+
+  /**
+   * Dispatches an `error` event for an error that can't be thrown to
+   * the caller.
+   *
+   * @private
+   * @param {any} error - error
+   */
+  dispatchError(error) {
+    const message = error instanceof Error ? error.message : String(error);
+    this.dispatchEvent(new ErrorEvent("error", { error, message }));
+  }
+
+  /**
+   * Sends a message to the worker to call a method of the gradient.
+   *
+   * @private
+   * @param {string} method - method name
+   * @param {any[]} [args] - method arguments
+   * @param {any[]} [transfer] - objects to transfer to the worker
+   * @returns {Promise<any>} resolves with the returned value, or rejects
+   * with the thrown error, or the initialization error of the gradient
+   */
+  call(method, args = [], transfer = []) {
+    if (this.initError) return Promise.reject(this.initError);
+    const id = this.nextRequestId++;
+    this.worker.postMessage({ id, method, args }, transfer);
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject });
+    });
+  }
+
+  /**
+   * Calls a method of the gradient in the worker without waiting for
+   * the result. Errors are dispatched as `error` events, except the ones
+   * after the initialization failed, which was already reported.
+   *
+   * @private
+   * @param {string} method - method name
+   * @param {any[]} [args] - method arguments
+   */
+  send(method, args) {
+    if (this.initError) return;
+    this.call(method, args).catch((error) => {
+      if (!this.initError) this.dispatchError(error);
+    });
+  }
+
+  /**
+   * Validates and applies options on the main thread.
+   *
+   * @private
+   * @param {Omit<WaveGradientOptions, "time">} options - options to
+   * update, omitted options keep their current value
+   * @throws {TypeError} if an option is invalid or can't be changed
+   * @returns {WaveGradientOptions} options for the worker
+   */
+  updateOptions(options) {
+    const { options: current } = this;
+    validateUpdate(options, current);
+
+    /** @type {any} */
+    const next = { ...current };
+    for (const [name, value] of Object.entries(options)) {
+      if (name in next && value !== undefined) next[name] = value;
+    }
+
+    // Omitted uniforms keep their current value, like `WaveGradient`
+    next.uniforms = { ...current.uniforms, ...options.uniforms };
+
+    // Validate the options before changing anything, like `WaveGradient`
+    createState(next, this.canvas);
+    createShading(next.shading, this.canvas);
+    getBlendSpace(next.blendSpace);
+    getDithering(next.dithering);
+    createGrain(next.grain);
+    createInteraction(next.interaction);
+    validateTimeSource(next.timeSource);
+    createCustomUniforms(this.declaredUniforms, options.uniforms ?? {});
+
+    this.syncClock();
+    this.options = next;
+    this.reducedMotion = this.prefersReducedMotion();
+
+    if (next.pauseWhenHidden !== current.pauseWhenHidden) {
+      next.pauseWhenHidden
+        ? this.observeVisibility()
+        : this.unobserveVisibility();
+    }
+
+    this.updatePointerObserver();
+    if (next.timeSource !== current.timeSource) this.updateScrollObserver();
+
+    return this.toWorkerOptions(next);
+  }
+
+  /**
+   * Converts options to the ones of the gradient in the worker, with
+   * what depends on the DOM resolved.
+   *
+   * @private
+   * @param {Required<Omit<WaveGradientOptions, "time">>} options -
+   * gradient options
+   * @returns {Required<Omit<WaveGradientOptions, "time">>} options for
+   * the worker
+   */
+  toWorkerOptions(options) {
+    const { shading } = options;
+    return {
+      ...options,
+      colors: options.colors.map((color) => {
+        const layer = toLayer(color);
+        return { ...layer, color: resolveVariables(layer.color, this.canvas) };
+      }),
+      shading:
+        typeof shading === "object" && shading.color !== undefined
+          ? { ...shading, color: resolveVariables(shading.color, this.canvas) }
+          : shading,
+      motion: this.reducedMotion ? "reduce" : "full",
+      // Visibility is observed on the main thread, which pauses the
+      // gradient in the worker while it's hidden
+      pauseWhenHidden: false,
+      // Shared renderers live on the main thread
+      renderer: null,
+      // The scroll progress is observed on the main thread
+      timeSource:
+        typeof options.timeSource === "object"
+          ? { ...options.timeSource, container: null }
+          : options.timeSource,
+      worker: false,
+    };
+  }
+
+  /**
+   * Syncs the estimated animation time.
+   *
+   * @private
+   * @param {number} [time] - animation time, defaults to the estimated
+   * current time
+   */
+  syncClock(time = this.time) {
+    this.clock = { time, timestamp: performance.now() };
+  }
+
+  /**
+   * Plays or pauses the gradient in the worker based on whether the
+   * animation is playing and the canvas is visible.
+   *
+   * @private
+   */
+  updatePlayback() {
+    this.send(this.playing && !this.suspended ? "play" : "pause");
+  }
+
+  /**
+   * Starts or stops sending the position of the pointer to the worker,
+   * depending on whether the interaction is enabled.
+   *
+   * @private
+   */
+  updatePointerObserver() {
+    const enabled = !!this.options.interaction;
+    if (enabled === !!this.pointerObserver) return;
+
+    if (enabled) {
+      this.pointerObserver = observePointer(this.canvas, (pointer) => {
+        this.send("movePointer", [pointer]);
+      });
+    } else {
+      this.pointerObserver?.disconnect();
+      this.pointerObserver = undefined;
+    }
+  }
+
+  /**
+   * Starts or stops sending the scroll progress to the worker,
+   * depending on the time source.
+   *
+   * @private
+   */
+  updateScrollObserver() {
+    const { type, container } = createTimeSource(this.options.timeSource);
+
+    this.scrollObserver?.disconnect();
+    this.scrollObserver = undefined;
+    if (type === "scroll") {
+      this.scrollObserver = observeScroll(container, (progress) => {
+        this.send("setScrollProgress", [progress]);
+      });
+    }
+  }
+
+  /**
+   * Starts observing the visibility of the canvas and the page.
+   *
+   * @private
+   */
+  observeVisibility() {
+    if (typeof IntersectionObserver !== "undefined") {
+      this.intersectionObserver = new IntersectionObserver((entries) => {
+        this.intersecting = entries[entries.length - 1].isIntersecting;
+        this.updateSuspended();
+      });
+      this.intersectionObserver.observe(this.canvas);
+    }
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+  }
+
+  /**
+   * Stops observing the visibility of the canvas and the page.
+   *
+   * @private
+   */
+  unobserveVisibility() {
+    this.intersectionObserver?.disconnect();
+    this.intersectionObserver = undefined;
+    this.intersecting = true;
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    this.updateSuspended();
+  }
+
+  /**
+   * Suspends or resumes rendering in the worker based on the visibility
+   * of the canvas and the page.
+   *
+   * @private
+   */
+  updateSuspended() {
+    const suspended =
+      this.options.pauseWhenHidden && (!this.intersecting || document.hidden);
+    if (suspended === this.suspended) return;
+
+    this.syncClock();
+    this.suspended = suspended;
+    this.updatePlayback();
+  }
+
+  /**
+   * @private
+   * @returns {boolean} whether only a static frame should be rendered
+   * because of the `motion` option or the user preference
+   */
+  prefersReducedMotion() {
+    const { motion } = this.options;
+    return (
+      motion === "reduce" ||
+      (motion === "auto" && !!this.reducedMotionQuery?.matches)
+    );
+  }
+}
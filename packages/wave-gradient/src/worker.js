@@ -0,0 +1,114 @@
+// ---------------------------------------------------------------------
+//
+// Worker side of the worker mode. It runs a `WaveGradient` on the
+// `OffscreenCanvas` transferred from the main thread and calls its
+// methods for the messages sent by `WaveGradientWorker`.
+//
+// ---------------------------------------------------------------------
+
+import { WaveGradient } from "./wave-gradient";
+
+/**
+ * Gradient rendered on the offscreen canvas transferred from the main
+ * thread. Its private `resize()` method is called too, since the size
+ * of the canvas is observed on the main thread.
+ *
+ * @type {any}
+ */
+let gradient;
+
+/**
+ * Events of the gradient forwarded to the main thread.
+ */
+const EVENTS = [
+  "frame",
+  "resize",
+  "play",
+  "pause",
+  "contextlost",
+  "contextrestored",
+  "error",
+];
+
+/**
+ * Creates an easing function that linearly interpolates samples of an
+ * easing function.
+ *
+ * @param {number[]} samples - eased progress at evenly spaced points
+ * @returns {(t: number) => number} easing function
+ */
+function interpolateEasing(samples) {
+  const last = samples.length - 1;
+  return (t) => {
+    const x = Math.min(Math.max(t, 0), 1) * last;
+    const i = Math.min(Math.floor(x), last - 1);
+    return samples[i] + (samples[i + 1] - samples[i]) * (x - i);
+  };
+}
+
+/**
+ * Handlers of the messages that are not forwarded to a `WaveGradient`
+ * method as is.
+ *
+ * @type {Object<string, (...args: any[]) => any>}
+ */
+const handlers = {
+  init(canvas, options, size) {
+    // Offscreen canvases have no layout, the gradient is created at the
+    // display size measured on the main thread, then resized to it in
+    // device pixels
+    canvas.width = size.width;
+    canvas.height = size.height;
+    gradient = new WaveGradient(canvas, options);
+    gradient.resize(size);
+
+    // Report quality tier changes, they don't happen in reply to a
+    // message
+    const { applyQuality } = gradient;
+    gradient.applyQuality = () => {
+      applyQuality.call(gradient);
+      postMessage({ time: gradient.time, qualityTier: gradient.qualityTier });
+    };
+
+    // Events can't be cloned, their type and detail are sent instead.
+    // The statistics change with every frame, so they are sent along.
+    for (const type of EVENTS) {
+      gradient.addEventListener(type, (/** @type {any} */ event) => {
+        const { time } = gradient;
+        if (type === "error") {
+          postMessage({ time, event: { type, error: event.error } });
+        } else if (type === "frame" || type === "resize") {
+          const stats = gradient.getStats();
+          postMessage({ time, stats, event: { type, detail: event.detail } });
+        } else {
+          postMessage({ time, event: { type } });
+        }
+      });
+    }
+
+    return gradient.getStats();
+  },
+  set(property, value) {
+    gradient[property] = value;
+  },
+  transitionTo(options, { duration, easing }) {
+    return gradient.transitionTo(options, {
+      duration,
+      easing: easing && interpolateEasing(easing),
+    });
+  },
+};
+
+addEventListener("message", ({ data: { id, method, args } }) => {
+  const handler = handlers[method] ?? ((...args) => gradient[method](...args));
+
+  new Promise((resolve) => resolve(handler(...args))).then(
+    (value) => {
+      // Transfer the pixels of rendered frames instead of copying them
+      const transfer = value instanceof ImageData ? [value.data.buffer] : [];
+      const { time, qualityTier } = gradient ?? {};
+      postMessage({ id, time, qualityTier, value }, { transfer });
+    },
+    (error) => postMessage({ id, time: gradient?.time, error })
+  );
+});
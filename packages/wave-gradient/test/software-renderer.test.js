@@ -0,0 +1,129 @@
+import assert from "assert/strict";
+import { build } from "esbuild";
+import { dirname, join } from "path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "url";
+
+// The sources import modules without extensions, bundle them to load
+// them in Node
+const { outputFiles } = await build({
+  stdin: {
+    contents: `
+      export * from "./software-renderer";
+      export { BLEND_MODES } from "./options";
+    `,
+    resolveDir: join(dirname(fileURLToPath(import.meta.url)), "../src"),
+  },
+  bundle: true,
+  format: "esm",
+  write: false,
+});
+const { BLEND_MODES, blendChannel, renderGradient, snoise } = await import(
+  `data:text/javascript;base64,${Buffer.from(outputFiles[0].contents).toString(
+    "base64"
+  )}`
+);
+
+/**
+ * Asserts that every pixel of an image has the given RGBA value, give
+ * or take one for rounding.
+ *
+ * @param {{ data: Uint8ClampedArray }} image - rendered image
+ * @param {number[]} expected - RGBA value
+ */
+function assertFilled({ data }, expected) {
+  for (let i = 0; i < data.length; i += 4) {
+    const pixel = Array.from(data.subarray(i, i + 4));
+    if (pixel.some((value, c) => Math.abs(value - expected[c]) > 1)) {
+      assert.fail(`pixel ${i / 4} is ${pixel}, expected ${expected}`);
+    }
+  }
+}
+
+describe("snoise", () => {
+  it("stays between -1 and 1", () => {
+    // Wrong gradients, e.g. from rounding in the gradient lookup, reach
+    // values above 4
+    let max = 0;
+    for (let i = 0; i < 10000; i++) {
+      const value = snoise(i * 0.37, i * 0.11 - 20, i * 0.053);
+      max = Math.max(max, Math.abs(value));
+    }
+    assert.ok(max <= 1, `max ${max}`);
+    assert.ok(max > 0.5, `max ${max}`);
+  });
+});
+
+describe("blendChannel", () => {
+  // Reference values from the W3C Compositing and Blending spec
+  // formulas, as [mode, base, blend, result]
+  const REFERENCE = [
+    ["normal", 0.25, 0.75, 0.75],
+    ["multiply", 0.5, 0.5, 0.25],
+    ["screen", 0.5, 0.5, 0.75],
+    ["overlay", 0.25, 0.5, 0.25],
+    ["overlay", 0.75, 0.5, 0.75],
+    ["darken", 0.2, 0.6, 0.2],
+    ["lighten", 0.2, 0.6, 0.6],
+    ["color-dodge", 0.25, 0.5, 0.5],
+    ["color-dodge", 0.75, 0.5, 1],
+    ["color-burn", 0.75, 0.5, 0.5],
+    ["color-burn", 0.25, 0.5, 0],
+    ["hard-light", 0.25, 0.75, 0.625],
+    ["hard-light", 0.5, 0.25, 0.25],
+    ["soft-light", 0.25, 0.75, 0.375],
+    ["soft-light", 0.5, 0.25, 0.375],
+    ["difference", 0.2, 0.7, 0.5],
+    ["exclusion", 0.5, 0.5, 0.5],
+    ["add", 0.75, 0.5, 1],
+    ["subtract", 0.25, 0.5, 0],
+  ];
+
+  for (const [mode, base, blend, result] of REFERENCE) {
+    it(`${mode}(${base}, ${blend}) is ${result}`, () => {
+      const index = BLEND_MODES.indexOf(mode);
+      assert.ok(index >= 0, `unknown blend mode ${mode}`);
+      const value = blendChannel(index, base, blend);
+      assert.ok(Math.abs(value - result) < 1e-6, `got ${value}`);
+    });
+  }
+});
+
+describe("renderGradient", () => {
+  // Flat gradient without displacement or shading, so every pixel has
+  // a known value
+  const FLAT = { amplitude: 0, shading: false };
+
+  // A layer whose noise is always above its ceiling is fully opaque
+  const OPAQUE = { floor: -1, ceil: 0 };
+
+  it("fills the frame with the base color", () => {
+    const image = renderGradient(32, 18, { ...FLAT, colors: ["#336699"] });
+    assert.equal(image.data.length, 32 * 18 * 4);
+    assertFilled(image, [0x33, 0x66, 0x99, 255]);
+  });
+
+  it("blends an opaque multiply layer", () => {
+    const image = renderGradient(32, 18, {
+      ...FLAT,
+      colors: ["#808080", { ...OPAQUE, color: "#ff8000", blend: "multiply" }],
+    });
+    assertFilled(image, [128, 64, 0, 255]);
+  });
+
+  it("blends an opaque screen layer", () => {
+    const image = renderGradient(32, 18, {
+      ...FLAT,
+      colors: ["#808080", { ...OPAQUE, color: "#ff8000", blend: "screen" }],
+    });
+    assertFilled(image, [255, 192, 128, 255]);
+  });
+
+  it("mixes a half transparent layer", () => {
+    const image = renderGradient(32, 18, {
+      ...FLAT,
+      colors: ["#000000", { ...OPAQUE, color: "#ffffff", opacity: 0.5 }],
+    });
+    assertFilled(image, [128, 128, 128, 255]);
+  });
+});